@@ -7,16 +7,38 @@
  * Environment Variables (add as Replit Secrets):
  * - SUPABASE_API_KEY: Your Supabase API key
  * - EMBED_SECRET: Secret key for signing embed tokens (min 32 chars)
- * - ADMIN_KEY: Admin API key for generating embed tokens
- * - ADMIN_PASSWORD: Password for admin dashboard login
+ * - ADMIN_KEY: Admin API key - acts as a super-admin, e.g. to set up the first user accounts
  * - SESSION_SECRET: Secret for session encryption (min 32 chars)
+ * - RATE_LIMIT_WINDOW_SECONDS: Rate limit window (default: 60)
+ * - RATE_LIMIT_LOGIN, RATE_LIMIT_VERIFY_TOKEN, RATE_LIMIT_EMBED_IP, RATE_LIMIT_EMBED_TOKEN: Requests per window (default: 10, 30, 60, 30)
+ * - LOGIN_LOCKOUT_THRESHOLD: Failed logins before an account is locked (default: 5)
+ * - LOGIN_LOCKOUT_SECONDS, LOGIN_LOCKOUT_MAX_SECONDS: First and longest lockout (default: 60, 3600)
+ * - EMBED_MAX_RANGE_DAYS: Longest date range an embed request may ask for (default: 366)
+ * - EMBED_LEGACY_CUTOFF: Last day old-format embed tokens are accepted (default: 2026-11-30)
+ * - CACHE_DIR: Optional directory for the on-disk Zoezi response cache
+ * - CACHE_SECRET: Key the on-disk cache is encrypted with (required for CACHE_DIR)
+ * - CACHE_TTL_SECONDS: Cache lifetime for today/future data (default: 300)
+ * - ZOEZI_CONCURRENCY: Parallel Zoezi requests per date range (default: 3)
+ * - BENCHMARK_MIN_COHORT: Minimum other clubs behind a published benchmark (default: 10, min: 5)
+ * - SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_FROM: Mail server for scheduled reports
+ * - REPORT_SEND_HOUR: Hour scheduled reports go out, in each club's timezone (default: 7)
+ * - REPORT_DRY_RUN_DIR: Write rendered reports here instead of sending them
+ * - MAIL_OUTBOX_DIR: Directory for invite and password reset emails (default: ./mail-outbox)
+ * - SNAPSHOT_DIR: Directory for the historical snapshot store (disabled if not set)
+ * - SNAPSHOT_SECRET: Key for pseudonymising member ids, required for snapshots and different from EMBED_SECRET
+ * - SNAPSHOT_SYNC_HOUR: Hour of the nightly snapshot sync, in each club's timezone (default: 3)
+ * - SNAPSHOT_INITIAL_DAYS: Days to fetch on a club's first sync (default: 30)
  * - PORT: Server port (default: 3000)
  */
 
 const express = require('express');
 const session = require('express-session');
 const path = require('path');
+const fs = require('fs');
 const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const PDFDocument = require('pdfkit');
+const ExcelJS = require('exceljs');
 const { createClient } = require('@supabase/supabase-js');
 
 // Load date extensions
@@ -29,12 +51,76 @@ const PORT = process.env.PORT || 3000;
 const SUPABASE_URL = 'https://kzdrezwyvgwttnwvbild.supabase.co';
 const SUPABASE_KEY = process.env.SUPABASE_API_KEY || '';
 
+// Timezone for clubs without one in the Clubs table (IANA name)
+const DEFAULT_TIMEZONE = 'Europe/Stockholm';
+
 // Security configuration
 const EMBED_SECRET = process.env.EMBED_SECRET || '';
 const ADMIN_KEY = process.env.ADMIN_KEY || '';
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || '';
 const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
 
+// Extra permissions an embed token can carry (personal data is off by default)
+const EMBED_SCOPES = ['members'];
+
+// Dashboard sections an embed token can be limited to (all of them when not set)
+const EMBED_SECTIONS = [
+  'trend', 'classTypes', 'weekdays', 'hours', 'heatmap', 'instructors', 'noShows', 'waitlist',
+  'cancellations', 'retention', 'members', 'recommendations', 'forecast', 'benchmarks', 'export', 'pdf'
+];
+const EMBED_TOKEN_MAX_DAYS = 365;             // Longest (and default) token lifetime
+const EMBED_REVOCATION_TTL = 60 * 1000;       // How long the revocation list is cached
+// Old-format tokens (no id or limits) are refused after this date
+const EMBED_LEGACY_CUTOFF = process.env.EMBED_LEGACY_CUTOFF || '2026-11-30';
+
+// Abuse protection: requests per window per IP (or per embed token), login lockout, embed range
+const RATE_LIMIT_WINDOW = (parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS) || 60) * 1000;
+const RATE_LIMIT_LOGIN = parseInt(process.env.RATE_LIMIT_LOGIN) || 10;
+const RATE_LIMIT_VERIFY_TOKEN = parseInt(process.env.RATE_LIMIT_VERIFY_TOKEN) || 30;
+const RATE_LIMIT_EMBED_IP = parseInt(process.env.RATE_LIMIT_EMBED_IP) || 60;
+const RATE_LIMIT_EMBED_TOKEN = parseInt(process.env.RATE_LIMIT_EMBED_TOKEN) || 30;
+const LOGIN_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const LOGIN_LOCKOUT_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_SECONDS) || 60;
+const LOGIN_LOCKOUT_MAX_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS) || 3600;
+const EMBED_MAX_RANGE_DAYS = parseInt(process.env.EMBED_MAX_RANGE_DAYS) || 366;
+
+// Cache configuration
+const CACHE_DIR = process.env.CACHE_DIR || '';
+const CACHE_SECRET = process.env.CACHE_SECRET || '';
+const CACHE_DISK_ENABLED = !!(CACHE_DIR && CACHE_SECRET);
+const CACHE_TTL = (parseInt(process.env.CACHE_TTL_SECONDS) || 300) * 1000;
+const CACHE_RECENT_DAYS = 7;                  // Attendance for past classes is often marked days later
+const CACHE_RECENT_TTL = 60 * 60 * 1000;      // Lifetime for ranges ending in the last CACHE_RECENT_DAYS
+const CACHE_MAX_ENTRIES = 500;
+
+// Zoezi fetch configuration
+const ZOEZI_TIMEOUT = 30000;
+const ZOEZI_CONCURRENCY = parseInt(process.env.ZOEZI_CONCURRENCY) || 3;
+
+// Benchmark configuration
+const BENCHMARK_MIN_COHORT = Math.max(parseInt(process.env.BENCHMARK_MIN_COHORT) || 10, 5);
+const BENCHMARK_MIN_CLASSES = 5;
+const BENCHMARK_TTL = 60 * 60 * 1000;
+const BENCHMARK_MAX_MONTHS = 12;              // Longest benchmark period, in calendar months
+
+// Email report configuration
+const SMTP_HOST = process.env.SMTP_HOST || '';
+const SMTP_PORT = parseInt(process.env.SMTP_PORT) || 587;
+const SMTP_FROM = process.env.SMTP_FROM || process.env.SMTP_USER || '';
+const REPORT_SEND_HOUR = parseInt(process.env.REPORT_SEND_HOUR ?? 7);
+const REPORT_DRY_RUN_DIR = process.env.REPORT_DRY_RUN_DIR || '';
+
+// Invite and password reset emails are written here for delivery
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, 'mail-outbox');
+
+// Snapshot store configuration
+const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || '';
+const SNAPSHOT_SECRET = process.env.SNAPSHOT_SECRET && process.env.SNAPSHOT_SECRET !== EMBED_SECRET ? process.env.SNAPSHOT_SECRET : '';
+const SNAPSHOT_SYNC_HOUR = parseInt(process.env.SNAPSHOT_SYNC_HOUR ?? 3);
+const SNAPSHOT_INITIAL_DAYS = parseInt(process.env.SNAPSHOT_INITIAL_DAYS) || 30;
+const SNAPSHOT_ENABLED = !!(SNAPSHOT_DIR && SNAPSHOT_SECRET);
+// Without SNAPSHOT_SECRET live member ids are keyed per process, so they change on restart
+const PSEUDONYM_KEY = SNAPSHOT_SECRET || crypto.randomBytes(32).toString('hex');
+
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -60,6 +146,239 @@ app.set('trust proxy', 1);
 app.use('/Strongsales%20logo%20WHITE.png', express.static('public/Strongsales logo WHITE.png'));
 app.use('/Strongsales%20logo%20black%20%26%20purple%20Transparent.png', express.static('public/Strongsales logo black & purple Transparent.png'));
 
+// =============================================================================
+// CLUB TIMEZONES
+// =============================================================================
+// Zoezi start times ("YYYY-MM-DD HH:MM:SS") are the club's wall-clock time, so
+// weekday, hour and date are read straight from the string. Anything relative
+// to "now" (today, started classes, report periods) is computed in the club's
+// IANA timezone, never the server's.
+
+const timeZoneFormatters = new Map();
+
+function getTimeZoneFormatter(timeZone) {
+  if (!timeZoneFormatters.has(timeZone)) {
+    timeZoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return timeZoneFormatters.get(timeZone);
+}
+
+/**
+ * Check an IANA timezone name (e.g. 'Europe/Stockholm')
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    getTimeZoneFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * A club's timezone from its Timezone column, DEFAULT_TIMEZONE if unset or invalid
+ */
+function getClubTimeZone(club) {
+  return isValidTimeZone(club?.Timezone) ? club.Timezone : DEFAULT_TIMEZONE;
+}
+
+/**
+ * Wall-clock time of an instant in a timezone, as "YYYY-MM-DD HH:MM:SS"
+ */
+function getZonedTime(timeZone, instant = Date.now()) {
+  const parts = {};
+  getTimeZoneFormatter(timeZone).formatToParts(new Date(instant)).forEach(p => { parts[p.type] = p.value; });
+  return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}:${parts.second}`;
+}
+
+/**
+ * Today's date (YYYY-MM-DD) in a timezone
+ */
+function getZonedToday(timeZone, instant = Date.now()) {
+  return getZonedTime(timeZone, instant).split(' ')[0];
+}
+
+/**
+ * The instant (epoch ms) of a wall-clock time in a timezone
+ * A time inside the hour skipped when clocks go forward has no instant and
+ * lands an hour off; a repeated autumn time resolves to one of its two instants.
+ */
+function getZonedInstant(wallTime, timeZone) {
+  const [date, time = '00:00:00'] = String(wallTime).split(' ');
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour = 0, minute = 0, second = 0] = time.split(':').map(Number);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offsetAt = instant => Date.parse(getZonedTime(timeZone, instant).replace(' ', 'T') + 'Z') - Math.floor(instant / 1000) * 1000;
+  return asUtc - offsetAt(asUtc - offsetAt(asUtc));
+}
+
+/**
+ * Calendar days from one YYYY-MM-DD date to another
+ * Unlike daysUntil, never a day short when the server's clocks change in between.
+ */
+function getDaysBetween(fromDate, toDate) {
+  const toUtc = dateStr => {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+  };
+  return Math.round((toUtc(toDate) - toUtc(fromDate)) / 86400000);
+}
+
+/**
+ * Whether a value is a YYYY-MM-DD string naming a real day
+ * Date.newFull rolls 2026-02-30 over into March, so the date must round-trip.
+ */
+function isDateString(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && Date.newFull(value).yyyymmdd() === value;
+}
+
+/**
+ * Weekday (0 = Sunday), hour, date and HH:MM of a Zoezi start time
+ */
+function parseWallTime(startTime) {
+  const [date, time = '00:00'] = String(startTime).split(' ');
+  const [year, month, day] = date.split('-').map(Number);
+  return {
+    date,
+    time: time.slice(0, 5),
+    dayOfWeek: new Date(Date.UTC(year, month - 1, day)).getUTCDay(),
+    hour: parseInt(time, 10) || 0
+  };
+}
+
+// =============================================================================
+// CLUB SETTINGS
+// =============================================================================
+// Per-club analytics settings live in the Supabase `Club_Settings` table, one
+// row per club. Clubs without a row, and columns left empty, use the defaults.
+
+const WEEK_STARTS = ['monday', 'sunday'];
+const DATE_PRESETS = ['week', 'month', 'quarter'];
+const SETTINGS_LANGUAGES = ['en', 'sv'];
+
+const DEFAULT_CLUB_SETTINGS = {
+  openingHour: 5,
+  closingHour: 22,
+  thresholds: { excellent: 80, good: 60, average: 40 },
+  weekStart: 'monday',
+  defaultPreset: 'month',
+  currency: 'SEK',
+  language: 'en'
+};
+
+/**
+ * Settings from a Club_Settings row (or null), with defaults filled in
+ */
+function toClubSettings(row) {
+  const defaults = DEFAULT_CLUB_SETTINGS;
+  return {
+    openingHour: row?.opening_hour ?? defaults.openingHour,
+    closingHour: row?.closing_hour ?? defaults.closingHour,
+    thresholds: {
+      excellent: row?.threshold_excellent ?? defaults.thresholds.excellent,
+      good: row?.threshold_good ?? defaults.thresholds.good,
+      average: row?.threshold_average ?? defaults.thresholds.average
+    },
+    weekStart: row?.week_start ?? defaults.weekStart,
+    defaultPreset: row?.default_preset ?? defaults.defaultPreset,
+    currency: row?.currency ?? defaults.currency,
+    language: row?.language ?? defaults.language
+  };
+}
+
+/**
+ * Club_Settings row for a club's settings
+ */
+function toClubSettingsRow(clubId, settings) {
+  return {
+    Club_Zoezi_ID: clubId,
+    opening_hour: settings.openingHour,
+    closing_hour: settings.closingHour,
+    threshold_excellent: settings.thresholds.excellent,
+    threshold_good: settings.thresholds.good,
+    threshold_average: settings.thresholds.average,
+    week_start: settings.weekStart,
+    default_preset: settings.defaultPreset,
+    currency: settings.currency,
+    language: settings.language,
+    updated_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Get a club's settings from Supabase (defaults if none are saved)
+ */
+async function getClubSettings(clubId) {
+  const supabase = getSupabase();
+  const { data, error } = await supabase
+    .from('Club_Settings')
+    .select('*')
+    .eq('Club_Zoezi_ID', clubId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+  return toClubSettings(data);
+}
+
+/**
+ * Validate a settings update on top of the current settings
+ * Returns { settings } or { error }
+ */
+function validateClubSettings(body, existing = DEFAULT_CLUB_SETTINGS) {
+  if (body.thresholds !== undefined && (typeof body.thresholds !== 'object' || body.thresholds === null)) {
+    return { error: 'thresholds must be an object with excellent, good and average' };
+  }
+  const settings = {
+    openingHour: body.openingHour ?? existing.openingHour,
+    closingHour: body.closingHour ?? existing.closingHour,
+    thresholds: { ...existing.thresholds, ...(body.thresholds || {}) },
+    weekStart: body.weekStart ?? existing.weekStart,
+    defaultPreset: body.defaultPreset ?? existing.defaultPreset,
+    currency: typeof body.currency === 'string' ? body.currency.toUpperCase() : (body.currency ?? existing.currency),
+    language: body.language ?? existing.language
+  };
+
+  const isHour = h => Number.isInteger(h) && h >= 0 && h <= 23;
+  if (!isHour(settings.openingHour) || !isHour(settings.closingHour) || settings.openingHour > settings.closingHour) {
+    return { error: 'openingHour and closingHour must be hours 0-23, opening before closing' };
+  }
+  const { excellent, good, average } = settings.thresholds;
+  if (![excellent, good, average].every(t => typeof t === 'number' && t >= 0 && t <= 100) || !(excellent > good && good > average)) {
+    return { error: 'thresholds must be percentages with excellent > good > average' };
+  }
+  if (!WEEK_STARTS.includes(settings.weekStart)) {
+    return { error: `weekStart must be one of: ${WEEK_STARTS.join(', ')}` };
+  }
+  if (!DATE_PRESETS.includes(settings.defaultPreset)) {
+    return { error: `defaultPreset must be one of: ${DATE_PRESETS.join(', ')}` };
+  }
+  if (typeof settings.currency !== 'string' || !/^[A-Z]{3}$/.test(settings.currency)) {
+    return { error: 'currency must be a three-letter ISO 4217 code' };
+  }
+  if (!SETTINGS_LANGUAGES.includes(settings.language)) {
+    return { error: `language must be one of: ${SETTINGS_LANGUAGES.join(', ')}` };
+  }
+  settings.thresholds = { excellent, good, average };
+  return { settings };
+}
+
+/**
+ * Day indexes (0 = Sunday) in display order for a week start
+ */
+function getWeekDayOrder(weekStart) {
+  return weekStart === 'sunday' ? [0, 1, 2, 3, 4, 5, 6] : [1, 2, 3, 4, 5, 6, 0];
+}
+
 // =============================================================================
 // HELPER FUNCTIONS
 // =============================================================================
@@ -75,29 +394,46 @@ function getSupabase() {
 }
 
 /**
- * Generate a secure embed token for a club
- * Token format: clubId.timestamp.signature (all base64url encoded)
+ * Generate a signed embed token for a club
+ * Token format: payload.signature (both base64url encoded), where the payload
+ * is JSON: { id, clubId, issuedAt, expiresAt, scopes?, sections?, siteIds?, maxLookbackDays? }
+ * Options: scopes, sections, siteIds, maxLookbackDays, expiresInDays (default 365)
+ * Returns { token, claims }
  */
-function generateEmbedToken(clubId) {
+function generateEmbedToken(clubId, options = {}) {
   if (!EMBED_SECRET) {
     throw new Error('EMBED_SECRET not configured');
   }
 
-  const timestamp = Date.now().toString();
-  const payload = `${clubId}.${timestamp}`;
+  const issuedAt = Date.now();
+  const claims = {
+    id: crypto.randomBytes(9).toString('base64url'),
+    clubId: String(clubId),
+    issuedAt,
+    expiresAt: issuedAt + (options.expiresInDays || EMBED_TOKEN_MAX_DAYS) * 24 * 60 * 60 * 1000
+  };
+  if (options.scopes && options.scopes.length > 0) claims.scopes = options.scopes;
+  if (options.sections) claims.sections = options.sections;
+  if (options.siteIds) claims.siteIds = options.siteIds.map(String);
+  if (options.maxLookbackDays) claims.maxLookbackDays = options.maxLookbackDays;
+
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
   const signature = crypto
     .createHmac('sha256', EMBED_SECRET)
     .update(payload)
     .digest('base64url');
 
-  return `${Buffer.from(clubId).toString('base64url')}.${Buffer.from(timestamp).toString('base64url')}.${signature}`;
+  return { token: `${payload}.${signature}`, claims };
 }
 
 /**
- * Verify and decode an embed token
- * Returns { valid: true, clubId } or { valid: false, error }
+ * Verify and decode an embed token: signature, expiry and the revocation list
+ * Returns { valid: true, clubId, tokenId, expiresAt, scopes, sections, siteIds, maxLookbackDays }
+ * or { valid: false, error }. sections, siteIds and maxLookbackDays are null when unrestricted.
+ * Tokens in the old clubId.timestamp[.scopes].signature format are accepted until
+ * EMBED_LEGACY_CUTOFF (see verifyLegacyEmbedToken).
  */
-function verifyEmbedToken(token) {
+async function verifyEmbedToken(token) {
   if (!EMBED_SECRET) {
     return { valid: false, error: 'EMBED_SECRET not configured' };
   }
@@ -107,17 +443,69 @@ function verifyEmbedToken(token) {
   }
 
   const parts = token.split('.');
-  if (parts.length !== 3) {
+  if (parts.length === 3 || parts.length === 4) {
+    return verifyLegacyEmbedToken(token, parts);
+  }
+  if (parts.length !== 2) {
     return { valid: false, error: 'Invalid token format' };
   }
 
+  let claims;
+  try {
+    const expectedSignature = crypto
+      .createHmac('sha256', EMBED_SECRET)
+      .update(parts[0])
+      .digest('base64url');
+
+    if (!crypto.timingSafeEqual(Buffer.from(parts[1]), Buffer.from(expectedSignature))) {
+      return { valid: false, error: 'Invalid signature' };
+    }
+
+    claims = JSON.parse(Buffer.from(parts[0], 'base64url').toString());
+  } catch (err) {
+    return { valid: false, error: 'Token decode failed' };
+  }
+
+  // The claims are signed, so refused tokens can still be told apart in the audit log
+  if (!claims.expiresAt || Date.now() > claims.expiresAt) {
+    return { valid: false, error: 'Token expired', clubId: claims.clubId, tokenId: claims.id };
+  }
+
+  const revoked = await getRevokedEmbedTokenIds();
+  if (revoked.has(claims.id)) {
+    return { valid: false, error: 'Token revoked', clubId: claims.clubId, tokenId: claims.id };
+  }
+
+  return {
+    valid: true,
+    clubId: claims.clubId,
+    tokenId: claims.id,
+    expiresAt: new Date(claims.expiresAt).toISOString(),
+    scopes: claims.scopes || [],
+    sections: claims.sections || null,
+    siteIds: claims.siteIds || null,
+    maxLookbackDays: claims.maxLookbackDays || null
+  };
+}
+
+/**
+ * Verify an old-format token (clubId.timestamp[.scopes].signature): full access until
+ * EMBED_LEGACY_CUTOFF. They carry no id, so one is derived from a hash of the token -
+ * it shows up in the audit log and can be revoked like any other token id.
+ */
+async function verifyLegacyEmbedToken(token, parts) {
+  let clubId;
+  let tokenId;
+  let expiresAt;
+  let scopeList;
   try {
-    const clubId = Buffer.from(parts[0], 'base64url').toString();
+    clubId = Buffer.from(parts[0], 'base64url').toString();
     const timestamp = Buffer.from(parts[1], 'base64url').toString();
-    const providedSignature = parts[2];
+    scopeList = parts.length === 4 ? Buffer.from(parts[2], 'base64url').toString() : '';
+    const providedSignature = parts[parts.length - 1];
 
     // Verify signature
-    const payload = `${clubId}.${timestamp}`;
+    const payload = scopeList ? `${clubId}.${timestamp}.${scopeList}` : `${clubId}.${timestamp}`;
     const expectedSignature = crypto
       .createHmac('sha256', EMBED_SECRET)
       .update(payload)
@@ -127,17 +515,36 @@ function verifyEmbedToken(token) {
       return { valid: false, error: 'Invalid signature' };
     }
 
-    // Optional: Check token age (e.g., reject tokens older than 1 year)
-    const tokenAge = Date.now() - parseInt(timestamp);
-    const maxAge = 365 * 24 * 60 * 60 * 1000; // 1 year in ms
-    if (tokenAge > maxAge) {
-      return { valid: false, error: 'Token expired' };
-    }
-
-    return { valid: true, clubId };
+    tokenId = `legacy-${crypto.createHash('sha256').update(token).digest('base64url').slice(0, 12)}`;
+    // A year after they were issued, but never past the cutoff
+    expiresAt = Math.min(
+      parseInt(timestamp) + EMBED_TOKEN_MAX_DAYS * 24 * 60 * 60 * 1000,
+      getZonedInstant(`${EMBED_LEGACY_CUTOFF} 23:59:59`, DEFAULT_TIMEZONE)
+    );
+    if (isNaN(expiresAt)) throw new Error('Invalid timestamp');
   } catch (err) {
     return { valid: false, error: 'Token decode failed' };
   }
+
+  if (Date.now() > expiresAt) {
+    return { valid: false, error: 'Token expired', clubId, tokenId };
+  }
+
+  const revoked = await getRevokedEmbedTokenIds();
+  if (revoked.has(tokenId)) {
+    return { valid: false, error: 'Token revoked', clubId, tokenId };
+  }
+
+  return {
+    valid: true,
+    clubId,
+    tokenId,
+    expiresAt: new Date(expiresAt).toISOString(),
+    scopes: scopeList ? scopeList.split(',') : [],
+    sections: null,
+    siteIds: null,
+    maxLookbackDays: null
+  };
 }
 
 /**
@@ -168,7 +575,7 @@ async function fetchZoeziApi(url, apiKey, maxRetries = 3) {
           'Authorization': apiKey,
           'Content-Type': 'application/json'
         },
-        timeout: 30000
+        signal: AbortSignal.timeout(ZOEZI_TIMEOUT)
       });
 
       if (!response.ok) {
@@ -185,156 +592,704 @@ async function fetchZoeziApi(url, apiKey, maxRetries = 3) {
 }
 
 /**
- * Process workout data into analytics
+ * Get the member id from a Zoezi booking
  */
-function processAnalytics(workouts) {
-  // Group by workout type
-  const byType = {};
-  const byDayOfWeek = { 0: [], 1: [], 2: [], 3: [], 4: [], 5: [], 6: [] };
-  const byHour = {};
-  const byInstructor = {};
-  const byDate = {};
+function getBookingUserId(booking) {
+  return booking.user_id || booking.userId || booking.user?.id;
+}
 
-  let totalClasses = 0;
-  let totalBooked = 0;
-  let totalCapacity = 0;
-  let fullyBookedClasses = 0;
-  let emptyClasses = 0;
+/**
+ * Display name of a Zoezi staff member
+ */
+function getStaffName(staff) {
+  return `${staff.firstname || ''} ${staff.lastname || ''}`.trim() || 'Unknown';
+}
 
-  // Track unique users globally and per type
-  const allUniqueUsers = new Set();
-  const uniqueUsersByType = {};
+/**
+ * Stable instructor key: the Zoezi staff id, so a renamed instructor keeps one
+ * history and two instructors sharing a name stay apart. Staff without an id
+ * fall back to their name.
+ */
+function getStaffId(staff) {
+  return staff.id !== undefined && staff.id !== null ? String(staff.id) : `name:${getStaffName(staff)}`;
+}
 
-  workouts.forEach(w => {
-    const typeName = w.workoutType?.name || 'Unknown';
-    const space = w.space || 0;
-    const booked = w.numBooked || 0;
-    const startTime = new Date(w.startTime);
-    const dayOfWeek = startTime.getDay();
-    const hour = startTime.getHours();
-    const dateStr = w.startTime.split(' ')[0];
+/**
+ * Read real attendance for a workout from the bookings' present flags
+ * A workout only counts as tracked once it has started and attendance has been
+ * registered (at least one booking marked present). Cancelled bookings are not
+ * in the list, so late cancellations never count as no-shows.
+ * `now` is the club's wall-clock time (see getZonedTime).
+ */
+function getAttendance(w, now = getZonedTime(DEFAULT_TIMEZONE)) {
+  const bookings = (Array.isArray(w.bookings) ? w.bookings : []).filter(b => !b.inQueue);
+  const started = String(w.startTime) <= now;
+  if (!started || !bookings.some(b => b.present === true)) {
+    return { tracked: false, attended: 0, noShows: [] };
+  }
 
-    totalClasses++;
-    totalBooked += booked;
-    totalCapacity += space;
+  const noShows = bookings
+    .filter(b => !b.present)
+    .map(b => ({ userId: getBookingUserId(b) || null, name: b.name || null }));
+  return { tracked: true, attended: bookings.length - noShows.length, noShows };
+}
 
-    if (space > 0 && booked >= space) fullyBookedClasses++;
-    if (booked === 0) emptyClasses++;
+/**
+ * Show-up and no-show rates for bookings in attendance-tracked classes
+ */
+function attendanceRates(trackedBooked, attended) {
+  return {
+    showUpRate: trackedBooked > 0 ? (attended / trackedBooked * 100).toFixed(1) : null,
+    noShowRate: trackedBooked > 0 ? ((trackedBooked - attended) / trackedBooked * 100).toFixed(1) : null
+  };
+}
 
-    // By workout type
-    if (!byType[typeName]) {
-      byType[typeName] = {
-        name: typeName,
-        color: w.workoutType?.color || '#667eea',
-        classes: 0,
-        totalBooked: 0,
-        totalCapacity: 0,
-        bookings: []
-      };
-      uniqueUsersByType[typeName] = new Set();
-    }
-    byType[typeName].classes++;
-    byType[typeName].totalBooked += booked;
-    byType[typeName].totalCapacity += space;
-    byType[typeName].bookings.push(space > 0 ? (booked / space * 100) : 0);
+/**
+ * Recurring slot a workout belongs to: same class type, weekday, start time and site
+ */
+function getSlotKey(w, typeName, dayOfWeek) {
+  const time = (w.startTime.split(' ')[1] || '').slice(0, 5);
+  return `${typeName}|${dayOfWeek}|${time}|${w.site_id || w.siteId || ''}`;
+}
 
-    // Extract unique user IDs from bookings
-    if (w.bookings && Array.isArray(w.bookings)) {
-      w.bookings.forEach(booking => {
-        const userId = booking.user_id || booking.userId || booking.user?.id;
-        if (userId) {
-          allUniqueUsers.add(userId);
-          uniqueUsersByType[typeName].add(userId);
-        }
-      });
-    }
+/**
+ * Rank recurring slots that regularly have a waiting queue
+ * (at least 2 occurrences, half of them with people queuing)
+ */
+function rankOverflowSlots(bySlot, dayNames) {
+  return Object.values(bySlot)
+    .filter(s => s.occurrences >= 2 && s.queuedOccurrences / s.occurrences >= 0.5)
+    .map(s => ({
+      typeName: s.typeName,
+      day: dayNames[s.dayIndex],
+      dayIndex: s.dayIndex,
+      time: s.time,
+      siteId: s.siteId,
+      occurrences: s.occurrences,
+      queuedOccurrences: s.queuedOccurrences,
+      avgQueue: (s.totalQueued / s.occurrences).toFixed(1),
+      maxQueue: s.maxQueue,
+      demandRate: s.totalCapacity > 0 ? ((s.totalBooked + s.totalQueued) / s.totalCapacity * 100).toFixed(1) : 0
+    }))
+    .sort((a, b) => parseFloat(b.avgQueue) - parseFloat(a.avgQueue))
+    .slice(0, 10);
+}
 
-    // By day of week
-    byDayOfWeek[dayOfWeek].push({
-      booked,
-      capacity: space,
-      rate: space > 0 ? (booked / space * 100) : 0
-    });
+/**
+ * Weekday x hour matrix from "dayIndex|hour" totals - opening hours (same as
+ * byHour) and days from the club's week start
+ */
+function buildDayHourMatrix(byDayHour, dayNames, settings = DEFAULT_CLUB_SETTINGS) {
+  const hours = [];
+  for (let h = settings.openingHour; h <= settings.closingHour; h++) hours.push(h);
 
-    // By hour
-    if (!byHour[hour]) {
-      byHour[hour] = { classes: 0, totalBooked: 0, totalCapacity: 0 };
-    }
-    byHour[hour].classes++;
-    byHour[hour].totalBooked += booked;
-    byHour[hour].totalCapacity += space;
+  return {
+    hours,
+    rows: getWeekDayOrder(settings.weekStart).map(dayIndex => ({
+      day: dayNames[dayIndex],
+      dayIndex,
+      cells: hours.map(hour => {
+        const data = byDayHour[`${dayIndex}|${hour}`] || { classes: 0, totalBooked: 0, totalCapacity: 0, totalQueued: 0 };
+        return {
+          hour,
+          classes: data.classes,
+          totalBooked: data.totalBooked,
+          totalCapacity: data.totalCapacity,
+          totalQueued: data.totalQueued,
+          attendanceRate: data.totalCapacity > 0 ? (data.totalBooked / data.totalCapacity * 100).toFixed(1) : null
+        };
+      })
+    }))
+  };
+}
 
-    // By instructor
-    if (w.staffs && w.staffs.length > 0) {
-      w.staffs.forEach(staff => {
-        const name = `${staff.firstname || ''} ${staff.lastname || ''}`.trim() || 'Unknown';
-        if (!byInstructor[name]) {
-          byInstructor[name] = {
-            name,
-            classes: 0,
-            totalBooked: 0,
-            totalCapacity: 0,
-            imagekey: staff.imagekey
-          };
-        }
-        byInstructor[name].classes++;
-        byInstructor[name].totalBooked += booked;
-        byInstructor[name].totalCapacity += space;
-      });
-    }
+/**
+ * Classify a workout: 'cancelled' (Zoezi status Cancelled), 'notBookable'
+ * (internal session) or 'ok'. Only 'ok' workouts count towards rates by default.
+ */
+function getWorkoutStatus(w) {
+  if (w.status === 'Cancelled') return 'cancelled';
+  if (w.bookable === false) return 'notBookable';
+  return 'ok';
+}
 
-    // By date (for trend)
-    if (!byDate[dateStr]) {
-      byDate[dateStr] = { classes: 0, totalBooked: 0, totalCapacity: 0 };
+/**
+ * Cancellation metrics per class type, instructor and date
+ */
+function processCancellations(workouts) {
+  const byType = {};
+  const byInstructor = {};
+  const byDate = {};
+  let cancelled = 0;
+  let notBookable = 0;
+
+  const track = (map, key, isCancelled) => {
+    if (!map[key]) map[key] = { scheduled: 0, cancelled: 0 };
+    map[key].scheduled++;
+    if (isCancelled) map[key].cancelled++;
+  };
+
+  workouts.forEach(w => {
+    const status = getWorkoutStatus(w);
+    if (status === 'notBookable') {
+      notBookable++;
+      return;
     }
-    byDate[dateStr].classes++;
-    byDate[dateStr].totalBooked += booked;
-    byDate[dateStr].totalCapacity += space;
+
+    const isCancelled = status === 'cancelled';
+    if (isCancelled) cancelled++;
+
+    track(byType, w.workoutType?.name || 'Unknown', isCancelled);
+    (w.staffs || []).forEach(staff => {
+      const id = getStaffId(staff);
+      track(byInstructor, id, isCancelled);
+      // Named after their latest class, like processAnalytics
+      if (!byInstructor[id].lastClass || w.startTime > byInstructor[id].lastClass) {
+        byInstructor[id].name = getStaffName(staff);
+        byInstructor[id].lastClass = w.startTime;
+      }
+    });
+    track(byDate, w.startTime.split(' ')[0], isCancelled);
   });
 
-  // Calculate averages and rates
-  const typeStats = Object.values(byType).map(t => ({
-    ...t,
-    avgAttendance: t.classes > 0 ? (t.totalBooked / t.classes).toFixed(1) : 0,
-    attendanceRate: t.totalCapacity > 0 ? (t.totalBooked / t.totalCapacity * 100).toFixed(1) : 0,
-    avgBookingRate: t.bookings.length > 0
-      ? (t.bookings.reduce((a, b) => a + b, 0) / t.bookings.length).toFixed(1)
-      : 0,
-    uniqueParticipants: uniqueUsersByType[t.name]?.size || 0
-  })).sort((a, b) => parseFloat(b.attendanceRate) - parseFloat(a.attendanceRate));
+  const withRate = (map, keyField) => Object.entries(map).map(([key, d]) => ({
+    [keyField]: key,
+    ...(d.name ? { name: d.name } : {}),
+    scheduled: d.scheduled,
+    cancelled: d.cancelled,
+    cancellationRate: d.scheduled > 0 ? (d.cancelled / d.scheduled * 100).toFixed(1) : 0
+  }));
+  const scheduled = workouts.length - notBookable;
+
+  return {
+    scheduled,
+    cancelled,
+    notBookable,
+    cancellationRate: scheduled > 0 ? (cancelled / scheduled * 100).toFixed(1) : 0,
+    byType: withRate(byType, 'name').filter(t => t.cancelled > 0).sort((a, b) => b.cancelled - a.cancelled),
+    byInstructor: withRate(byInstructor, 'id').filter(i => i.cancelled > 0).sort((a, b) => b.cancelled - a.cancelled),
+    trend: withRate(byDate, 'date').sort((a, b) => a.date.localeCompare(b.date))
+  };
+}
+
+/**
+ * Cohort period a date belongs to: the first day of its week (Monday or
+ * Sunday, per weekStart), or its month (YYYY-MM)
+ */
+function getCohortPeriod(dateStr, granularity, weekStart = DEFAULT_CLUB_SETTINGS.weekStart) {
+  if (granularity === 'month') return dateStr.slice(0, 7);
+  const date = Date.newFull(dateStr);
+  return date.addDays(-((date.getDay() + 7 - getWeekDayOrder(weekStart)[0]) % 7)).yyyymmdd();
+}
+
+/**
+ * Member retention from booking user ids
+ * Members are grouped by the period (week or month) of their first booking in
+ * the range; each cohort row shows the share still booking k periods later.
+ * Per class type: first visits vs repeat visits, and how many members whose
+ * first booking was that type came back.
+ * Granularity defaults to weeks for ranges up to ~3 months, months beyond.
+ */
+function processRetention(workouts, granularity, weekStart = DEFAULT_CLUB_SETTINGS.weekStart) {
+  const sorted = [...workouts].sort((a, b) => String(a.startTime).localeCompare(String(b.startTime)));
+  if (sorted.length === 0) {
+    return { granularity: granularity || 'week', periods: [], cohorts: [], byType: [], summary: { members: 0, eligible: 0, returned: 0, returnRate: null } };
+  }
+
+  const firstDate = sorted[0].startTime.split(' ')[0];
+  const lastDate = sorted[sorted.length - 1].startTime.split(' ')[0];
+  if (granularity !== 'week' && granularity !== 'month') {
+    granularity = getDaysBetween(firstDate, lastDate) > 92 ? 'month' : 'week';
+  }
+
+  // Every period from the first to the last booking, so offsets line up
+  const periods = [];
+  const cursor = Date.newFull(granularity === 'month' ? `${firstDate.slice(0, 7)}-01` : getCohortPeriod(firstDate, 'week', weekStart));
+  const lastPeriod = getCohortPeriod(lastDate, granularity, weekStart);
+  while (getCohortPeriod(cursor.yyyymmdd(), granularity, weekStart) <= lastPeriod) {
+    periods.push(getCohortPeriod(cursor.yyyymmdd(), granularity, weekStart));
+    granularity === 'month' ? cursor.addMonths(1) : cursor.addDays(7);
+  }
+  const periodIndex = {};
+  periods.forEach((p, i) => { periodIndex[p] = i; });
+
+  const members = {};
+  const byType = {};
+
+  sorted.forEach(w => {
+    const typeName = w.workoutType?.name || 'Unknown';
+    const dateStr = w.startTime.split(' ')[0];
+    const period = getCohortPeriod(dateStr, granularity, weekStart);
+
+    if (!byType[typeName]) {
+      byType[typeName] = { name: typeName, color: w.workoutType?.color || '#667eea', participants: new Set(), firstVisits: 0, repeatVisits: 0 };
+    }
+
+    (w.bookings || []).forEach(booking => {
+      const userId = getBookingUserId(booking);
+      if (!userId) return;
+
+      let member = members[userId];
+      if (!member) {
+        member = members[userId] = { firstType: typeName, firstDate: dateStr, firstPeriod: period, periods: new Set(), returned: false, returnedSameType: false };
+        byType[typeName].firstVisits++;
+      } else {
+        byType[typeName].repeatVisits++;
+        if (dateStr > member.firstDate) {
+          member.returned = true;
+          if (typeName === member.firstType) member.returnedSameType = true;
+        }
+      }
+      member.periods.add(periodIndex[period]);
+      byType[typeName].participants.add(userId);
+    });
+  });
+
+  // Cohorts: active[k] = members of the cohort booking k periods after their first
+  const cohortMap = {};
+  Object.values(members).forEach(m => {
+    if (!cohortMap[m.firstPeriod]) cohortMap[m.firstPeriod] = [];
+    cohortMap[m.firstPeriod].push(m);
+  });
+  const cohorts = periods.filter(p => cohortMap[p]).map(period => {
+    const start = periodIndex[period];
+    const cohortMembers = cohortMap[period];
+    const active = periods.slice(start).map((_, k) => cohortMembers.filter(m => m.periods.has(start + k)).length);
+    return {
+      period,
+      size: cohortMembers.length,
+      active,
+      retention: active.map(n => (n / cohortMembers.length * 100).toFixed(1))
+    };
+  });
+
+  // Members who first booked in the last period haven't had a chance to return yet
+  const eligible = Object.values(members).filter(m => m.firstPeriod !== lastPeriod);
+  const returnRate = (n, total) => total > 0 ? (n / total * 100).toFixed(1) : null;
+
+  const typeStats = Object.values(byType).map(t => {
+    const firstTimers = eligible.filter(m => m.firstType === t.name);
+    const returned = firstTimers.filter(m => m.returned).length;
+    const returnedSameType = firstTimers.filter(m => m.returnedSameType).length;
+    return {
+      name: t.name,
+      color: t.color,
+      participants: t.participants.size,
+      firstVisits: t.firstVisits,
+      repeatVisits: t.repeatVisits,
+      newShare: returnRate(t.firstVisits, t.firstVisits + t.repeatVisits),
+      firstTimers: firstTimers.length,
+      returned,
+      returnRate: returnRate(returned, firstTimers.length),
+      returnedSameType,
+      sameTypeReturnRate: returnRate(returnedSameType, firstTimers.length)
+    };
+  });
+
+  // Best at bringing people back first; types without first-timers last
+  const rateOrNone = t => (t.returnRate === null ? -1 : parseFloat(t.returnRate));
+  typeStats.sort((a, b) => rateOrNone(b) - rateOrNone(a) || b.firstTimers - a.firstTimers);
+
+  const returned = eligible.filter(m => m.returned).length;
+  return {
+    granularity,
+    periods,
+    cohorts,
+    byType: typeStats,
+    summary: {
+      members: Object.keys(members).length,
+      eligible: eligible.length,
+      returned,
+      returnRate: returnRate(returned, eligible.length)
+    }
+  };
+}
+
+/**
+ * Member engagement: booking frequency, trend and favourite classes per member
+ * The last few weeks of the range (4, or half the range if shorter) are compared
+ * with the weeks before. Segments, first match wins:
+ *   newcomer   - first booking in the recent weeks
+ *   fading     - booked at least every other week before, and at most half as often recently
+ *   regular    - at least one booking a week
+ *   occasional - everyone else
+ * Classes that haven't started yet (as of `now`, the club's wall-clock time) and
+ * queue places are not counted.
+ * Member data is personal - only for admins and embed tokens with the 'members' scope.
+ */
+function processMembers(workouts, fromDate, toDate, now = getZonedTime(DEFAULT_TIMEZONE)) {
+  const today = now.split(' ')[0];
+  const endDate = toDate < today ? toDate : today;
+  const rangeDays = getDaysBetween(fromDate, endDate) + 1;
+  const recentDays = rangeDays >= 14 ? Math.min(28, Math.floor(rangeDays / 2)) : 0;
+  const recentStart = shiftDate(endDate, -(recentDays - 1));
+  const earlierDays = rangeDays - recentDays;
+
+  const members = {};
+  workouts
+    .filter(w => getWorkoutStatus(w) === 'ok' && w.startTime <= now)
+    .forEach(w => {
+      const typeName = w.workoutType?.name || 'Unknown';
+      const dateStr = w.startTime.split(' ')[0];
+      (w.bookings || []).filter(b => !b.inQueue).forEach(booking => {
+        const userId = getBookingUserId(booking);
+        if (!userId) return;
+
+        if (!members[userId]) {
+          members[userId] = { userId, name: booking.name || null, bookings: 0, recent: 0, types: {}, firstBooking: dateStr, lastBooking: dateStr };
+        }
+        const m = members[userId];
+        m.bookings++;
+        if (recentDays > 0 && dateStr >= recentStart) m.recent++;
+        m.types[typeName] = (m.types[typeName] || 0) + 1;
+        if (dateStr < m.firstBooking) m.firstBooking = dateStr;
+        if (dateStr > m.lastBooking) m.lastBooking = dateStr;
+        if (!m.name && booking.name) m.name = booking.name;
+      });
+    });
+
+  const perWeek = (count, days) => (days > 0 ? count / days * 7 : null);
+  const round = n => (n === null ? null : parseFloat(n.toFixed(2)));
+
+  const list = Object.values(members).map(m => {
+    const weekly = perWeek(m.bookings, rangeDays);
+    const recentPerWeek = recentDays > 0 ? perWeek(m.recent, recentDays) : null;
+    const earlierPerWeek = recentDays > 0 ? perWeek(m.bookings - m.recent, earlierDays) : null;
+
+    let segment = 'occasional';
+    if (recentDays > 0 && m.firstBooking >= recentStart) segment = 'newcomer';
+    else if (earlierPerWeek >= 0.5 && recentPerWeek <= earlierPerWeek * 0.5) segment = 'fading';
+    else if (weekly >= 1) segment = 'regular';
+
+    return {
+      userId: m.userId,
+      name: m.name,
+      bookings: m.bookings,
+      perWeek: round(weekly),
+      recentPerWeek: round(recentPerWeek),
+      earlierPerWeek: round(earlierPerWeek),
+      trend: earlierPerWeek > 0 ? Math.round((recentPerWeek - earlierPerWeek) / earlierPerWeek * 100) : null,
+      favouriteTypes: Object.entries(m.types)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 3)
+        .map(([name, count]) => ({ name, count })),
+      firstBooking: m.firstBooking,
+      lastBooking: m.lastBooking,
+      daysSinceLast: getDaysBetween(m.lastBooking, endDate),
+      segment
+    };
+  }).sort((a, b) => b.bookings - a.bookings);
+
+  const segments = { regular: 0, occasional: 0, newcomer: 0, fading: 0 };
+  list.forEach(m => { segments[m.segment]++; });
+
+  return {
+    recentWeeks: round(recentDays / 7),
+    recentFrom: recentDays > 0 ? recentStart : null,
+    summary: { members: list.length, segments },
+    members: list,
+    // Biggest drop first
+    fading: list.filter(m => m.segment === 'fading').sort((a, b) => a.trend - b.trend || b.earlierPerWeek - a.earlierPerWeek)
+  };
+}
+
+/**
+ * Fetch live workouts and build the member engagement view for a club
+ * Reads Zoezi directly rather than the snapshot store, which has no names.
+ */
+async function buildMembers(club, fromDate, toDate) {
+  const { workouts, missingRanges } = await fetchWorkoutsChunked(club, fromDate, toDate);
+  const members = processMembers(workouts, fromDate, toDate, getZonedTime(getClubTimeZone(club)));
+  members.club = { id: club.Club_Zoezi_ID, name: club.Club_name };
+  members.dateRange = { fromDate, toDate };
+  if (missingRanges.length > 0) {
+    members.missingRanges = missingRanges;
+  }
+  return members;
+}
+
+/**
+ * Process workout data into analytics
+ * Cancelled and non-bookable workouts are reported under `cancellations` and
+ * left out of all other metrics unless options.includeCancelled is set.
+ * options.cohortPeriod ('week' | 'month') sets the retention cohort size.
+ * options.timeZone is the club's timezone, for which classes have started.
+ * options.settings (see getClubSettings) sets the opening hours and week start.
+ */
+function processAnalytics(workouts, options = {}) {
+  const settings = options.settings || DEFAULT_CLUB_SETTINGS;
+  const now = getZonedTime(options.timeZone || DEFAULT_TIMEZONE);
+  const cancellations = processCancellations(workouts);
+  if (!options.includeCancelled) {
+    workouts = workouts.filter(w => getWorkoutStatus(w) === 'ok');
+  }
+
+  // Group by workout type
+  const byType = {};
+  const byDayOfWeek = { 0: [], 1: [], 2: [], 3: [], 4: [], 5: [], 6: [] };
+  const byHour = {};
+  const byDayHour = {};
+  const byInstructor = {};
+  const byDate = {};
+  const bySlot = {};
+
+  let totalClasses = 0;
+  let totalBooked = 0;
+  let totalCapacity = 0;
+  let fullyBookedClasses = 0;
+  let emptyClasses = 0;
+
+  // Waitlist demand (people queuing for a full class)
+  let totalQueued = 0;
+  let classesWithQueue = 0;
+
+  // Real attendance (classes with registered attendance only)
+  let trackedClasses = 0;
+  let trackedBooked = 0;
+  let trackedCapacity = 0;
+  let totalAttended = 0;
+
+  // Track unique users globally and per type
+  const allUniqueUsers = new Set();
+  const uniqueUsersByType = {};
+
+  // Bookings and no-shows per member
+  const byMember = {};
+
+  workouts.forEach(w => {
+    const typeName = w.workoutType?.name || 'Unknown';
+    const space = w.space || 0;
+    const booked = w.numBooked || 0;
+    const queued = w.numQueue || 0;
+    const { dayOfWeek, hour, time, date: dateStr } = parseWallTime(w.startTime);
+    const attendance = getAttendance(w, now);
+    const tracked = attendance.tracked ? 1 : 0;
+    const attendedBooked = attendance.attended + attendance.noShows.length;
+
+    totalClasses++;
+    totalBooked += booked;
+    totalCapacity += space;
+
+    if (space > 0 && booked >= space) fullyBookedClasses++;
+    if (booked === 0) emptyClasses++;
+
+    totalQueued += queued;
+    if (queued > 0) classesWithQueue++;
+
+    if (attendance.tracked) {
+      trackedClasses++;
+      trackedBooked += attendedBooked;
+      trackedCapacity += space;
+      totalAttended += attendance.attended;
+    }
+
+    // By workout type
+    if (!byType[typeName]) {
+      byType[typeName] = {
+        name: typeName,
+        color: w.workoutType?.color || '#667eea',
+        classes: 0,
+        totalBooked: 0,
+        totalCapacity: 0,
+        trackedClasses: 0,
+        trackedBooked: 0,
+        attended: 0,
+        totalQueued: 0,
+        classesWithQueue: 0,
+        bookings: []
+      };
+      uniqueUsersByType[typeName] = new Set();
+    }
+    byType[typeName].classes++;
+    byType[typeName].totalBooked += booked;
+    byType[typeName].totalCapacity += space;
+    byType[typeName].trackedClasses += tracked;
+    byType[typeName].trackedBooked += attendedBooked;
+    byType[typeName].attended += attendance.attended;
+    byType[typeName].totalQueued += queued;
+    if (queued > 0) byType[typeName].classesWithQueue++;
+    byType[typeName].bookings.push(space > 0 ? (booked / space * 100) : 0);
+
+    // Extract unique user IDs from bookings - queue places aren't bookings
+    if (w.bookings && Array.isArray(w.bookings)) {
+      w.bookings.filter(booking => !booking.inQueue).forEach(booking => {
+        const userId = getBookingUserId(booking);
+        if (userId) {
+          allUniqueUsers.add(userId);
+          uniqueUsersByType[typeName].add(userId);
+          if (!byMember[userId]) {
+            byMember[userId] = { userId, name: booking.name || null, bookings: 0, noShows: 0 };
+          }
+          byMember[userId].bookings++;
+        }
+      });
+    }
+    attendance.noShows.forEach(noShow => {
+      if (noShow.userId && byMember[noShow.userId]) byMember[noShow.userId].noShows++;
+    });
+
+    // By day of week
+    byDayOfWeek[dayOfWeek].push({
+      booked,
+      capacity: space,
+      rate: space > 0 ? (booked / space * 100) : 0,
+      tracked,
+      trackedBooked: attendedBooked,
+      attended: attendance.attended,
+      queued
+    });
+
+    // By hour
+    if (!byHour[hour]) {
+      byHour[hour] = { classes: 0, totalBooked: 0, totalCapacity: 0, trackedClasses: 0, trackedBooked: 0, attended: 0, totalQueued: 0 };
+    }
+    byHour[hour].classes++;
+    byHour[hour].totalBooked += booked;
+    byHour[hour].totalCapacity += space;
+    byHour[hour].trackedClasses += tracked;
+    byHour[hour].trackedBooked += attendedBooked;
+    byHour[hour].attended += attendance.attended;
+    byHour[hour].totalQueued += queued;
+
+    // By weekday and hour (heatmap)
+    const cellKey = `${dayOfWeek}|${hour}`;
+    if (!byDayHour[cellKey]) {
+      byDayHour[cellKey] = { classes: 0, totalBooked: 0, totalCapacity: 0, totalQueued: 0 };
+    }
+    byDayHour[cellKey].classes++;
+    byDayHour[cellKey].totalBooked += booked;
+    byDayHour[cellKey].totalCapacity += space;
+    byDayHour[cellKey].totalQueued += queued;
+
+    // By recurring slot (for unmet demand)
+    const slotKey = getSlotKey(w, typeName, dayOfWeek);
+    if (!bySlot[slotKey]) {
+      bySlot[slotKey] = {
+        typeName,
+        dayIndex: dayOfWeek,
+        time,
+        siteId: w.site_id || w.siteId || null,
+        occurrences: 0,
+        queuedOccurrences: 0,
+        totalQueued: 0,
+        maxQueue: 0,
+        totalBooked: 0,
+        totalCapacity: 0
+      };
+    }
+    bySlot[slotKey].occurrences++;
+    if (queued > 0) bySlot[slotKey].queuedOccurrences++;
+    bySlot[slotKey].totalQueued += queued;
+    bySlot[slotKey].maxQueue = Math.max(bySlot[slotKey].maxQueue, queued);
+    bySlot[slotKey].totalBooked += booked;
+    bySlot[slotKey].totalCapacity += space;
+
+    // By instructor (staff id), named after their latest class
+    if (w.staffs && w.staffs.length > 0) {
+      w.staffs.forEach(staff => {
+        const id = getStaffId(staff);
+        if (!byInstructor[id]) {
+          byInstructor[id] = {
+            id,
+            name: getStaffName(staff),
+            lastClass: w.startTime,
+            classes: 0,
+            totalBooked: 0,
+            totalCapacity: 0,
+            trackedClasses: 0,
+            trackedBooked: 0,
+            attended: 0,
+            imagekey: staff.imagekey
+          };
+        }
+        if (w.startTime > byInstructor[id].lastClass) {
+          byInstructor[id].name = getStaffName(staff);
+          byInstructor[id].imagekey = staff.imagekey;
+          byInstructor[id].lastClass = w.startTime;
+        }
+        byInstructor[id].classes++;
+        byInstructor[id].totalBooked += booked;
+        byInstructor[id].totalCapacity += space;
+        byInstructor[id].trackedClasses += tracked;
+        byInstructor[id].trackedBooked += attendedBooked;
+        byInstructor[id].attended += attendance.attended;
+      });
+    }
+
+    // By date (for trend)
+    if (!byDate[dateStr]) {
+      byDate[dateStr] = { classes: 0, totalBooked: 0, totalCapacity: 0 };
+    }
+    byDate[dateStr].classes++;
+    byDate[dateStr].totalBooked += booked;
+    byDate[dateStr].totalCapacity += space;
+  });
+
+  // Calculate averages and rates
+  const typeStats = Object.values(byType).map(t => ({
+    ...t,
+    avgAttendance: t.classes > 0 ? (t.totalBooked / t.classes).toFixed(1) : 0,
+    attendanceRate: t.totalCapacity > 0 ? (t.totalBooked / t.totalCapacity * 100).toFixed(1) : 0,
+    avgBookingRate: t.bookings.length > 0
+      ? (t.bookings.reduce((a, b) => a + b, 0) / t.bookings.length).toFixed(1)
+      : 0,
+    uniqueParticipants: uniqueUsersByType[t.name]?.size || 0,
+    noShows: t.trackedBooked - t.attended,
+    ...attendanceRates(t.trackedBooked, t.attended)
+  })).sort((a, b) => parseFloat(b.attendanceRate) - parseFloat(a.attendanceRate));
 
   const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
   const dayStats = dayNames.map((name, i) => {
     const data = byDayOfWeek[i];
     const totalBooked = data.reduce((sum, d) => sum + d.booked, 0);
     const totalCapacity = data.reduce((sum, d) => sum + d.capacity, 0);
+    const dayTrackedBooked = data.reduce((sum, d) => sum + d.trackedBooked, 0);
+    const dayAttended = data.reduce((sum, d) => sum + d.attended, 0);
     return {
       day: name,
       dayIndex: i,
       classes: data.length,
       avgAttendance: data.length > 0 ? (totalBooked / data.length).toFixed(1) : 0,
-      attendanceRate: totalCapacity > 0 ? (totalBooked / totalCapacity * 100).toFixed(1) : 0
+      attendanceRate: totalCapacity > 0 ? (totalBooked / totalCapacity * 100).toFixed(1) : 0,
+      trackedClasses: data.reduce((sum, d) => sum + d.tracked, 0),
+      totalQueued: data.reduce((sum, d) => sum + d.queued, 0),
+      attended: dayAttended,
+      noShows: dayTrackedBooked - dayAttended,
+      ...attendanceRates(dayTrackedBooked, dayAttended)
     };
   });
 
   const hourStats = [];
-  for (let h = 5; h <= 22; h++) {
-    const data = byHour[h] || { classes: 0, totalBooked: 0, totalCapacity: 0 };
+  for (let h = settings.openingHour; h <= settings.closingHour; h++) {
+    const data = byHour[h] || { classes: 0, totalBooked: 0, totalCapacity: 0, trackedClasses: 0, trackedBooked: 0, attended: 0, totalQueued: 0 };
     hourStats.push({
       hour: h,
       label: `${h}:00`,
       classes: data.classes,
       avgAttendance: data.classes > 0 ? (data.totalBooked / data.classes).toFixed(1) : 0,
-      attendanceRate: data.totalCapacity > 0 ? (data.totalBooked / data.totalCapacity * 100).toFixed(1) : 0
+      attendanceRate: data.totalCapacity > 0 ? (data.totalBooked / data.totalCapacity * 100).toFixed(1) : 0,
+      trackedClasses: data.trackedClasses,
+      totalQueued: data.totalQueued,
+      attended: data.attended,
+      noShows: data.trackedBooked - data.attended,
+      ...attendanceRates(data.trackedBooked, data.attended)
     });
   }
 
   const instructorStats = Object.values(byInstructor).map(i => ({
     ...i,
     avgAttendance: i.classes > 0 ? (i.totalBooked / i.classes).toFixed(1) : 0,
-    attendanceRate: i.totalCapacity > 0 ? (i.totalBooked / i.totalCapacity * 100).toFixed(1) : 0
+    attendanceRate: i.totalCapacity > 0 ? (i.totalBooked / i.totalCapacity * 100).toFixed(1) : 0,
+    noShows: i.trackedBooked - i.attended,
+    ...attendanceRates(i.trackedBooked, i.attended)
   })).sort((a, b) => parseFloat(b.attendanceRate) - parseFloat(a.attendanceRate));
 
+  // Members with the most no-shows
+  const topNoShows = Object.values(byMember)
+    .filter(m => m.noShows > 0)
+    .sort((a, b) => b.noShows - a.noShows || b.bookings - a.bookings)
+    .slice(0, 10);
+
   // Daily trend
   const dates = Object.keys(byDate).sort();
   const dailyTrend = dates.map(date => {
@@ -359,524 +1314,5253 @@ function processAnalytics(workouts) {
       fullyBookedRate: totalClasses > 0 ? (fullyBookedClasses / totalClasses * 100).toFixed(1) : 0,
       emptyClasses,
       emptyRate: totalClasses > 0 ? (emptyClasses / totalClasses * 100).toFixed(1) : 0,
-      uniqueParticipants: allUniqueUsers.size
+      uniqueParticipants: allUniqueUsers.size,
+      totalQueued,
+      classesWithQueue,
+      turnedAwayRate: (totalBooked + totalQueued) > 0 ? (totalQueued / (totalBooked + totalQueued) * 100).toFixed(1) : 0,
+      trackedClasses,
+      totalAttended,
+      totalNoShows: trackedBooked - totalAttended,
+      actualAttendanceRate: trackedCapacity > 0 ? (totalAttended / trackedCapacity * 100).toFixed(1) : null,
+      ...attendanceRates(trackedBooked, totalAttended)
     },
     byType: typeStats,
-    byDay: dayStats,
+    byDay: getWeekDayOrder(settings.weekStart).map(i => dayStats[i]),
     byHour: hourStats,
+    byDayHour: buildDayHourMatrix(byDayHour, dayNames, settings),
     byInstructor: instructorStats,
-    dailyTrend
+    dailyTrend,
+    topNoShows,
+    overflowSlots: rankOverflowSlots(bySlot, dayNames),
+    cancellations,
+    retention: processRetention(workouts, options.cohortPeriod, settings.weekStart)
   };
 }
 
-// =============================================================================
-// AUTHENTICATION
-// =============================================================================
+/**
+ * Build the per-section deltas between two processAnalytics results.
+ * Rates are compared in percentage points, counts as absolute and relative change.
+ */
+function compareAnalytics(current, previous) {
+  const diff = (cur, prev) => parseFloat(((parseFloat(cur) || 0) - (parseFloat(prev) || 0)).toFixed(1));
+  const pct = (cur, prev) => {
+    prev = parseFloat(prev) || 0;
+    return prev > 0 ? parseFloat((((parseFloat(cur) || 0) - prev) / prev * 100).toFixed(1)) : null;
+  };
+
+  const summary = {};
+  Object.keys(current.summary).forEach(key => {
+    const cur = current.summary[key];
+    const prev = previous.summary[key] || 0;
+    summary[key] = key.endsWith('Rate')
+      ? { previous: prev, change: diff(cur, prev) }
+      : { previous: prev, change: diff(cur, prev), changePercent: pct(cur, prev) };
+  });
+
+  // Match rows by their key and compare rate, class count and bookings
+  const diffRows = (curRows, prevRows, keyField, bookedField = 'totalBooked') => {
+    const prevByKey = {};
+    prevRows.forEach(r => { prevByKey[r[keyField]] = r; });
+    const result = {};
+    curRows.forEach(r => {
+      const prev = prevByKey[r[keyField]];
+      result[r[keyField]] = prev ? {
+        previousRate: prev.attendanceRate,
+        rateChange: diff(r.attendanceRate, prev.attendanceRate),
+        classesChange: r.classes - prev.classes,
+        bookedChange: r[bookedField] !== undefined ? diff(r[bookedField], prev[bookedField]) : null
+      } : null;
+    });
+    return result;
+  };
+
+  return {
+    summary,
+    byType: diffRows(current.byType, previous.byType, 'name'),
+    byDay: diffRows(current.byDay, previous.byDay, 'dayIndex', 'avgAttendance'),
+    byHour: diffRows(current.byHour, previous.byHour, 'hour', 'avgAttendance'),
+    byInstructor: diffRows(current.byInstructor, previous.byInstructor, 'id')
+  };
+}
 
 /**
- * Check if user is authenticated
+ * Resolve the comparison date range for a compare mode
+ * Modes: previous (same length, directly before), lastYear, custom (compareFrom/compareTo)
+ * Returns { fromDate, toDate }, null when no comparison, or { error }
  */
-function isAuthenticated(req, res, next) {
-  if (req.session && req.session.isAdmin) {
-    return next();
+function getComparisonRange(fromDate, toDate, mode, compareFrom, compareTo) {
+  if (!mode || mode === 'none') return null;
+
+  const from = Date.newFull(fromDate);
+  const to = Date.newFull(toDate);
+  if (isNaN(from) || isNaN(to) || from > to) {
+    return { error: 'Invalid date range' };
   }
-  // For API requests, return 401
-  if (req.path.startsWith('/api/')) {
-    return res.status(401).json({ error: 'Authentication required' });
+
+  switch (mode) {
+    case 'previous': {
+      const days = getDaysBetween(from.yyyymmdd(), to.yyyymmdd()) + 1;
+      const prevTo = from.clone().addDays(-1);
+      const prevFrom = prevTo.clone().addDays(-(days - 1));
+      return { fromDate: prevFrom.yyyymmdd(), toDate: prevTo.yyyymmdd() };
+    }
+    case 'lastYear':
+      return { fromDate: from.clone().addMonths(-12).yyyymmdd(), toDate: to.clone().addMonths(-12).yyyymmdd() };
+    case 'custom': {
+      if (!compareFrom || !compareTo) {
+        return { error: 'compareFrom and compareTo are required for custom comparison' };
+      }
+      if (!isDateString(compareFrom) || !isDateString(compareTo) || compareFrom > compareTo) {
+        return { error: 'Invalid comparison range' };
+      }
+      return { fromDate: compareFrom, toDate: compareTo };
+    }
+    default:
+      return { error: `Unknown compare mode: ${mode}` };
   }
-  // For page requests, redirect to login
-  return res.redirect('/login');
 }
 
 /**
- * Check if request has valid embed token (for public embed access)
+ * Read the dashboard filters from a query string (null if none are set)
+ * Query: classTypes (repeatable), instructor (staff id), siteId
  */
-function hasValidEmbedToken(req) {
-  const token = req.query.token;
-  if (!token) return false;
-  const result = verifyEmbedToken(token);
-  return result.valid;
+function parseWorkoutFilters(query) {
+  let classTypes = query.classTypes;
+  if (classTypes && typeof classTypes === 'object' && !Array.isArray(classTypes)) {
+    classTypes = Object.values(classTypes);
+  } else if (typeof classTypes === 'string') {
+    classTypes = [classTypes];
+  }
+
+  const filters = {
+    classTypes: Array.isArray(classTypes) && classTypes.length > 0 ? classTypes.map(String) : null,
+    instructor: query.instructor ? String(query.instructor) : null,
+    siteId: query.siteId ? String(query.siteId) : null
+  };
+  return filters.classTypes || filters.instructor || filters.siteId ? filters : null;
 }
 
 /**
- * Login page
+ * Same filtering as the dashboard: class types, instructor AND facility
  */
-app.get('/login', (req, res) => {
-  // If already logged in, redirect to dashboard
-  if (req.session && req.session.isAdmin) {
-    return res.redirect('/');
-  }
+function filterZoeziWorkouts(workouts, filters) {
+  if (!filters) return workouts;
+  const classTypes = filters.classTypes ? new Set(filters.classTypes) : null;
 
-  const error = req.query.error;
-  res.send(`
-    <!DOCTYPE html>
-    <html lang="en">
-    <head>
-      <meta charset="UTF-8">
-      <meta name="viewport" content="width=device-width, initial-scale=1.0">
-      <title>Login | StrongSales Analytics</title>
-      <script src="https://cdn.tailwindcss.com"></script>
-      <style>
-        .gradient-bg {
-          background: linear-gradient(135deg, #AFACFB 0%, #8b5cf6 50%, #6d28d9 100%);
-        }
-      </style>
-    </head>
-    <body class="min-h-screen gradient-bg flex items-center justify-center p-4">
-      <div class="bg-white rounded-2xl shadow-2xl p-8 w-full max-w-md">
-        <div class="text-center mb-8">
-          <img src="/Strongsales%20logo%20black%20%26%20purple%20Transparent.png" alt="StrongSales" class="h-12 mx-auto mb-4">
-          <h1 class="text-2xl font-bold text-gray-900">Admin Login</h1>
-          <p class="text-gray-500 text-sm mt-1">Group Training Analytics Dashboard</p>
-        </div>
+  return workouts.filter(w => {
+    if (classTypes && !classTypes.has(w.workoutType?.name || 'Unknown')) return false;
 
-        ${error ? `
-          <div class="mb-6 p-4 bg-red-50 border border-red-200 rounded-xl text-red-700 text-sm">
-            Invalid password. Please try again.
-          </div>
-        ` : ''}
+    if (filters.instructor) {
+      const hasInstructor = (w.staffs || []).some(s => getStaffId(s) === filters.instructor);
+      if (!hasInstructor) return false;
+    }
 
-        <form method="POST" action="/login" class="space-y-6">
-          <div>
-            <label for="password" class="block text-sm font-medium text-gray-700 mb-2">Password</label>
-            <input
-              type="password"
-              id="password"
-              name="password"
-              required
-              autofocus
-              class="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:ring-2 focus:ring-purple-300 focus:border-purple-300 transition-all"
-              placeholder="Enter admin password"
-            >
-          </div>
-          <button
-            type="submit"
-            class="w-full py-3 px-4 bg-gradient-to-r from-purple-400 to-purple-600 hover:from-purple-500 hover:to-purple-700 text-white font-semibold rounded-xl shadow-lg transition-all"
-          >
-            Sign In
-          </button>
-        </form>
+    if (filters.siteId && String(w.site_id || w.siteId || '') !== filters.siteId) return false;
+
+    return true;
+  });
+}
+
+/**
+ * Simplify workouts for client-side filtering
+ */
+function mapRawWorkouts(workouts, siteMap, now) {
+  return workouts.map(w => {
+    // Extract user IDs from bookings, leaving out queue places
+    const userIds = [];
+    if (w.bookings && Array.isArray(w.bookings)) {
+      w.bookings.filter(booking => !booking.inQueue).forEach(booking => {
+        const userId = getBookingUserId(booking);
+        if (userId) userIds.push(userId);
+      });
+    }
+    const attendance = getAttendance(w, now);
+    return {
+      id: w.id,
+      typeName: w.workoutType?.name || 'Unknown',
+      typeColor: w.workoutType?.color || '#667eea',
+      startTime: w.startTime,
+      space: w.space || 0,
+      numBooked: w.numBooked || 0,
+      numQueue: w.numQueue || 0,
+      status: getWorkoutStatus(w),
+      siteId: w.site_id || w.siteId || null,
+      siteName: siteMap[w.site_id] || siteMap[w.siteId] || null,
+      staffs: (w.staffs || []).map(s => ({
+        id: getStaffId(s),
+        name: getStaffName(s),
+        imagekey: s.imagekey
+      })),
+      userIds: userIds,
+      attendanceTracked: attendance.tracked,
+      attended: attendance.attended,
+      noShows: attendance.noShows
+    };
+  });
+}
+
+/**
+ * Class rows without member ids and no-show names, keeping the no-show counts
+ */
+function hideWorkoutMembers(workouts) {
+  return workouts.map(({ userIds, ...w }) => ({
+    ...w,
+    noShows: (w.noShows || []).map(() => ({ userId: null, name: null }))
+  }));
+}
+
+/**
+ * Drop member names and ids from analytics, keeping the no-show counts
+ * For read-only users, and embed tokens without the members scope. Without
+ * rawWorkouts[].userIds the dashboard can't count unique members for filters.
+ */
+function hideMemberData(analytics) {
+  analytics.topNoShows = [];
+  if (analytics.rawWorkouts) analytics.rawWorkouts = hideWorkoutMembers(analytics.rawWorkouts);
+  return analytics;
+}
+
+/**
+ * Get a club's config from Supabase (null if not found)
+ */
+async function getClub(clubId) {
+  const supabase = getSupabase();
+  const { data: club, error } = await supabase
+    .from('Clubs')
+    .select('*')
+    .eq('Club_Zoezi_ID', clubId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+  return club || null;
+}
+
+/**
+ * Fetch a club's workouts and sites from Zoezi and run the analytics pipeline
+ */
+async function buildAnalytics(club, fromDate, toDate, options = {}) {
+  // Fetch workout schedule (stored history + live Zoezi) and sites in parallel
+  const [{ workouts: loadedWorkouts, missingRanges, storedRanges }, sites, settings] = await Promise.all([
+    loadWorkouts(club, fromDate, toDate),
+    fetchZoeziCached(club, 'site/get/all').catch(() => []),
+    getClubSettings(club.Club_Zoezi_ID)
+  ]);
+
+  // Create site lookup map
+  const siteMap = {};
+  (sites || []).forEach(s => {
+    if (s && s.id) siteMap[s.id] = s.name;
+  });
+
+  // Server-side filters (exports) - the dashboard filters rawWorkouts itself
+  const workouts = filterZoeziWorkouts(loadedWorkouts, options.filters);
+
+  // Process analytics in the club's timezone, with its settings
+  const timeZone = getClubTimeZone(club);
+  const now = getZonedTime(timeZone);
+  const analytics = processAnalytics(workouts, { ...options, timeZone, settings });
+  analytics.club = {
+    id: club.Club_Zoezi_ID,
+    name: club.Club_name,
+    domain: club.Zoezi_Domain
+  };
+  analytics.timeZone = timeZone;
+  analytics.settings = settings;
+  analytics.dateRange = { fromDate, toDate };
+  analytics.includeCancelled = !!options.includeCancelled;
+  if (options.filters) {
+    analytics.filters = {
+      ...options.filters,
+      siteName: options.filters.siteId ? siteMap[options.filters.siteId] || null : null,
+      instructorName: options.filters.instructor
+        ? analytics.byInstructor.find(i => i.id === options.filters.instructor)?.name || null
+        : null
+    };
+  }
+
+  // Chunks that failed to load - the dashboard warns that data is missing
+  if (missingRanges.length > 0) {
+    analytics.missingRanges = missingRanges;
+  }
+
+  // Parts of the range served from the snapshot store
+  if (storedRanges.length > 0) {
+    analytics.storedRanges = storedRanges;
+  }
+
+  // Include sites list (only if more than 1)
+  const sitesList = (sites || [])
+    .filter(s => s && !s.removed && (!club.allowedSiteIds || club.allowedSiteIds.includes(String(s.id))))
+    .map(s => ({ id: s.id, name: s.name }));
+  analytics.sites = sitesList.length > 1 ? sitesList : [];
+
+  // Schedule suggestions from the recurring slots
+  analytics.recommendations = processRecommendations(workouts, now);
+
+  // Include simplified raw workouts for client-side filtering
+  // (all of them, so the dashboard can toggle cancelled classes back in)
+  analytics.rawWorkouts = mapRawWorkouts(workouts, siteMap, now);
+
+  return analytics;
+}
+
+/**
+ * Build analytics for a club, plus the comparison period if requested
+ * Query: compare=previous|lastYear|custom, compareFrom, compareTo, includeCancelled=true,
+ * and optionally the dashboard filters (see parseWorkoutFilters)
+ * The comparison carries its class rows without member data, for the
+ * dashboard's filtered deltas. Invalid dates throw with status 400.
+ */
+async function buildAnalyticsWithComparison(club, query) {
+  const { fromDate, toDate, compare, compareFrom, compareTo } = query;
+  const options = {
+    includeCancelled: query.includeCancelled === 'true',
+    cohortPeriod: query.cohortPeriod,
+    filters: parseWorkoutFilters(query)
+  };
+  const badRequest = message => Object.assign(new Error(message), { status: 400 });
+  const invalid = ['fromDate', 'toDate'].find(name => !isDateString(query[name]))
+    || ['compareFrom', 'compareTo'].find(name => query[name] !== undefined && !isDateString(query[name]));
+  if (invalid) throw badRequest(`Invalid ${invalid} - expected YYYY-MM-DD`);
+  if (fromDate > toDate) throw badRequest('Invalid date range');
+
+  const range = getComparisonRange(fromDate, toDate, compare, compareFrom, compareTo);
+  if (range && range.error) throw badRequest(range.error);
+
+  const [analytics, previous] = await Promise.all([
+    buildAnalytics(club, fromDate, toDate, options),
+    range ? buildAnalytics(club, range.fromDate, range.toDate, options) : null
+  ]);
+
+  if (previous) {
+    analytics.comparison = {
+      mode: compare,
+      dateRange: previous.dateRange,
+      missingRanges: previous.missingRanges,
+      ...compareAnalytics(analytics, previous),
+      workouts: hideWorkoutMembers(previous.rawWorkouts)
+    };
+  }
+
+  return analytics;
+}
+
+// =============================================================================
+// ZOEZI RESPONSE CACHE
+// =============================================================================
+
+// key -> { clubId, storedAt, expiresAt (null = never), data }
+const zoeziCache = new Map();
+// key -> Promise of a fetch in progress, so concurrent loads share one request
+const zoeziInflight = new Map();
+
+/**
+ * Cache lifetime for a date range: anything including today or the future gets
+ * CACHE_TTL, and the last CACHE_RECENT_DAYS CACHE_RECENT_TTL, since staff still
+ * mark attendance for them. Older days don't change, so they are kept forever.
+ */
+function getCacheTtl(toDate, timeZone = DEFAULT_TIMEZONE, instant = Date.now()) {
+  const today = getZonedToday(timeZone, instant);
+  if (!toDate || toDate >= today) return CACHE_TTL;
+  if (toDate >= shiftDate(today, -CACHE_RECENT_DAYS)) return CACHE_RECENT_TTL;
+  return Infinity;
+}
+
+/**
+ * On-disk cache file for a key (prefixed with the club id so a club can be purged)
+ */
+function getCacheFile(clubId, key) {
+  const safeClubId = String(clubId).replace(/[^a-zA-Z0-9_-]/g, '_');
+  const hash = crypto.createHash('sha1').update(key).digest('hex');
+  return path.join(CACHE_DIR, `${safeClubId}.${hash}.json`);
+}
+
+// Zoezi responses carry member names and ids, so cache files are AES-256-GCM encrypted
+const cacheKey = CACHE_SECRET ? crypto.createHash('sha256').update(CACHE_SECRET).digest() : null;
+
+function encryptCacheFile(value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', cacheKey, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return JSON.stringify({ iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') });
+}
+
+/**
+ * Read a file from encryptCacheFile - throws if it wasn't written with CACHE_SECRET
+ */
+function decryptCacheFile(contents) {
+  const { iv, tag, data } = JSON.parse(contents);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', cacheKey, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return JSON.parse(Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8'));
+}
+
+/**
+ * Keep a cache entry in memory, evicting the least recently stored
+ */
+function rememberCacheEntry(key, entry) {
+  zoeziCache.delete(key);
+  zoeziCache.set(key, entry);
+  while (zoeziCache.size > CACHE_MAX_ENTRIES) {
+    zoeziCache.delete(zoeziCache.keys().next().value);
+  }
+}
+
+/**
+ * Store a cache entry in memory and on disk if configured
+ */
+function setCacheEntry(key, entry) {
+  rememberCacheEntry(key, entry);
+
+  if (CACHE_DISK_ENABLED) {
+    fs.promises.mkdir(CACHE_DIR, { recursive: true })
+      .then(() => fs.promises.writeFile(getCacheFile(entry.clubId, key), encryptCacheFile({ key, ...entry })))
+      .catch(err => console.error('Error writing cache file:', err.message));
+  }
+}
+
+/**
+ * Get a cache entry from memory, falling back to the on-disk store
+ */
+async function getCacheEntry(clubId, key) {
+  if (zoeziCache.has(key)) return zoeziCache.get(key);
+  if (!CACHE_DISK_ENABLED) return null;
+
+  const file = getCacheFile(clubId, key);
+  let contents;
+  try {
+    contents = await fs.promises.readFile(file, 'utf8');
+  } catch {
+    return null;
+  }
+
+  try {
+    const { key: storedKey, ...entry } = decryptCacheFile(contents);
+    if (storedKey !== key) return null;
+    rememberCacheEntry(key, entry);
+    return entry;
+  } catch {
+    // Unencrypted, or written with another CACHE_SECRET - it gets fetched again
+    fs.promises.unlink(file).catch(() => {});
+    return null;
+  }
+}
+
+/**
+ * Load fresh data and store it, sharing the request with concurrent callers
+ */
+function loadIntoCache(clubId, key, ttl, load) {
+  if (zoeziInflight.has(key)) return zoeziInflight.get(key);
+
+  const promise = load()
+    .then(data => {
+      const now = Date.now();
+      setCacheEntry(key, { clubId, storedAt: now, expiresAt: ttl === Infinity ? null : now + ttl, data });
+      return data;
+    })
+    .finally(() => zoeziInflight.delete(key));
+
+  zoeziInflight.set(key, promise);
+  return promise;
+}
+
+/**
+ * Stale-while-revalidate: fresh entries are returned as-is, stale entries are
+ * returned immediately while a refresh runs in the background
+ */
+async function cachedFetch(clubId, key, ttl, load) {
+  const entry = await getCacheEntry(clubId, key);
+  if (!entry) {
+    return loadIntoCache(clubId, key, ttl, load);
+  }
+
+  if (entry.expiresAt !== null && entry.expiresAt < Date.now()) {
+    loadIntoCache(clubId, key, ttl, load)
+      .catch(err => console.error(`Background cache refresh failed for ${key}:`, err.message));
+  }
+  return entry.data;
+}
+
+/**
+ * Fetch a Zoezi endpoint for a club through the cache
+ * Keyed by club, endpoint and query (which includes the date range)
+ */
+function fetchZoeziCached(club, endpoint, params = {}) {
+  const query = new URLSearchParams(params).toString();
+  const url = `https://${club.Zoezi_Domain}/api/${endpoint}${query ? `?${query}` : ''}`;
+  const key = `${club.Club_Zoezi_ID}|${endpoint}|${query}`;
+
+  return cachedFetch(club.Club_Zoezi_ID, key, getCacheTtl(params.toDate, getClubTimeZone(club)), () => fetchZoeziApi(url, club.Zoezi_Api_Key));
+}
+
+/**
+ * Remove all cached responses for a club, in memory and on disk
+ * Returns the number of memory entries and files removed
+ */
+async function purgeClubCache(clubId) {
+  let purged = 0;
+  for (const [key, entry] of zoeziCache) {
+    if (String(entry.clubId) === String(clubId)) {
+      zoeziCache.delete(key);
+      purged++;
+    }
+  }
+
+  // Files from before CACHE_SECRET was set are purged too
+  if (CACHE_DIR) {
+    const prefix = `${String(clubId).replace(/[^a-zA-Z0-9_-]/g, '_')}.`;
+    const files = await fs.promises.readdir(CACHE_DIR).catch(() => []);
+    const clubFiles = files.filter(f => f.startsWith(prefix) && f.endsWith('.json'));
+    await Promise.all(clubFiles.map(f => fs.promises.unlink(path.join(CACHE_DIR, f)).catch(() => {})));
+    purged += clubFiles.length;
+  }
+
+  return purged;
+}
+
+// =============================================================================
+// CHUNKED FETCHING
+// =============================================================================
+
+/**
+ * Split a date range into chunks for fetching
+ * Up to 14 days: one chunk. Up to ~3 months: weeks. Longer: calendar months.
+ */
+function splitDateRange(fromDate, toDate) {
+  const from = Date.newFull(fromDate);
+  const to = Date.newFull(toDate);
+  const days = getDaysBetween(from.yyyymmdd(), to.yyyymmdd()) + 1;
+  if (days <= 14) {
+    return [{ fromDate, toDate }];
+  }
+
+  const chunks = [];
+  let start = from.clone();
+  while (start <= to) {
+    const end = days <= 93 ? start.clone().addDays(6) : start.lastDayThisMonth();
+    const chunkEnd = end < to ? end : to;
+    chunks.push({ fromDate: start.yyyymmdd(), toDate: chunkEnd.yyyymmdd() });
+    start = chunkEnd.clone().addDays(1);
+  }
+  return chunks;
+}
+
+/**
+ * Run an async function over items with at most `limit` running at once
+ * Results keep the item order; each entry is { value } or { error }
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { value: await fn(items[index], index) };
+      } catch (error) {
+        results[index] = { error };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Fetch a club's workouts (with bookings) in date chunks through the cache
+ * Each chunk is retried on its own; results are merged and de-duplicated by
+ * workout id. Returns { workouts, missingRanges } - throws only if every chunk fails.
+ */
+async function fetchWorkoutsChunked(club, fromDate, toDate) {
+  const chunks = splitDateRange(fromDate, toDate);
+  const results = await mapWithConcurrency(chunks, ZOEZI_CONCURRENCY, chunk =>
+    fetchZoeziCached(club, 'schedule/workout/get/all', { ...chunk, bookings: 'true' })
+  );
+
+  const missingRanges = [];
+  const workoutsById = new Map();
+  results.forEach((result, i) => {
+    if (result.error) {
+      missingRanges.push({ ...chunks[i], error: result.error.message });
+      return;
+    }
+    (result.value || []).forEach(w => workoutsById.set(w.id, w));
+  });
+
+  if (missingRanges.length === chunks.length) {
+    throw results[0].error;
+  }
+
+  const workouts = filterAllowedSites(club, [...workoutsById.values()])
+    .sort((a, b) => String(a.startTime).localeCompare(String(b.startTime)));
+  return { workouts, missingRanges };
+}
+
+// =============================================================================
+// SNAPSHOT STORE
+// =============================================================================
+//
+// Per-workout facts are kept on disk so past periods don't depend on Zoezi:
+//   SNAPSHOT_DIR/<clubId>/<YYYY-MM>.json  - { [workoutId]: fact }
+//   SNAPSHOT_DIR/sync-status.json         - sync status and covered date ranges per club
+// Member ids are pseudonymised with an HMAC; names and phone numbers are not stored.
+// Live member ids are pseudonymised the same way with or without the store.
+
+// clubId -> { clubName, status, error, coverage: [{ fromDate, toDate }], lastSyncAt, lastSuccessAt, lastWorkouts }
+let snapshotStatus = {};
+const snapshotSyncRunning = new Set();
+
+if (SNAPSHOT_ENABLED) {
+  try {
+    snapshotStatus = JSON.parse(fs.readFileSync(path.join(SNAPSHOT_DIR, 'sync-status.json'), 'utf8'));
+  } catch {
+    snapshotStatus = {};
+  }
+}
+
+/**
+ * Shift a YYYY-MM-DD date string by a number of days
+ */
+function shiftDate(dateStr, days) {
+  return Date.newFull(dateStr).addDays(days).yyyymmdd();
+}
+
+/**
+ * Merge overlapping and adjacent date ranges
+ */
+function mergeRanges(ranges) {
+  const merged = [];
+  [...ranges].sort((a, b) => a.fromDate.localeCompare(b.fromDate)).forEach(r => {
+    const last = merged[merged.length - 1];
+    if (last && r.fromDate <= shiftDate(last.toDate, 1)) {
+      if (r.toDate > last.toDate) last.toDate = r.toDate;
+    } else {
+      merged.push({ fromDate: r.fromDate, toDate: r.toDate });
+    }
+  });
+  return merged;
+}
+
+/**
+ * Parts of a date range that are covered by a list of ranges
+ */
+function intersectRanges(range, ranges) {
+  return mergeRanges(ranges)
+    .map(r => ({
+      fromDate: r.fromDate > range.fromDate ? r.fromDate : range.fromDate,
+      toDate: r.toDate < range.toDate ? r.toDate : range.toDate
+    }))
+    .filter(r => r.fromDate <= r.toDate);
+}
+
+/**
+ * Parts of a date range that are not covered by a list of ranges
+ */
+function subtractRanges(range, ranges) {
+  const result = [];
+  let cursor = range.fromDate;
+  intersectRanges(range, ranges).forEach(r => {
+    if (r.fromDate > cursor) {
+      result.push({ fromDate: cursor, toDate: shiftDate(r.fromDate, -1) });
+    }
+    cursor = shiftDate(r.toDate, 1);
+  });
+  if (cursor <= range.toDate) {
+    result.push({ fromDate: cursor, toDate: range.toDate });
+  }
+  return result;
+}
+
+/**
+ * Stable pseudonym for a member id (per club, not reversible without the key)
+ */
+function pseudonymiseUserId(clubId, userId) {
+  if (!userId) return null;
+  return crypto
+    .createHmac('sha256', PSEUDONYM_KEY)
+    .update(`${clubId}:${userId}`)
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Pseudonymise the member ids in live Zoezi workouts, the same way as stored ones
+ */
+function pseudonymiseWorkouts(clubId, workouts) {
+  return workouts.map(w => ({
+    ...w,
+    bookings: (w.bookings || []).map(b => ({ ...b, user_id: pseudonymiseUserId(clubId, getBookingUserId(b)) }))
+  }));
+}
+
+/**
+ * Reduce a Zoezi workout to the facts kept in the snapshot store
+ */
+function toSnapshotFact(clubId, w) {
+  return {
+    id: w.id,
+    typeName: w.workoutType?.name || 'Unknown',
+    typeColor: w.workoutType?.color || null,
+    startTime: w.startTime,
+    space: w.space || 0,
+    numBooked: w.numBooked || 0,
+    numQueue: w.numQueue || 0,
+    status: w.status || null,
+    bookable: w.bookable !== false,
+    siteId: w.site_id || w.siteId || null,
+    staffs: (w.staffs || []).map(s => ({ id: s.id, firstname: s.firstname, lastname: s.lastname, imagekey: s.imagekey })),
+    bookings: (w.bookings || []).map(b => ({
+      user: pseudonymiseUserId(clubId, getBookingUserId(b)),
+      present: !!b.present,
+      inQueue: !!b.inQueue
+    }))
+  };
+}
+
+/**
+ * Turn a stored fact back into the Zoezi workout shape processAnalytics expects
+ */
+function fromSnapshotFact(f) {
+  return {
+    id: f.id,
+    workoutType: { name: f.typeName, color: f.typeColor || undefined },
+    startTime: f.startTime,
+    space: f.space,
+    numBooked: f.numBooked,
+    numQueue: f.numQueue,
+    status: f.status || undefined,
+    bookable: f.bookable,
+    site_id: f.siteId,
+    staffs: f.staffs,
+    bookings: f.bookings.map(b => ({ user_id: b.user, present: b.present, inQueue: b.inQueue }))
+  };
+}
+
+/**
+ * Directory and month files of a club's snapshots
+ */
+function getSnapshotClubDir(clubId) {
+  return path.join(SNAPSHOT_DIR, String(clubId).replace(/[^a-zA-Z0-9_-]/g, '_'));
+}
+
+function getSnapshotMonths(ranges) {
+  const months = new Set();
+  ranges.forEach(r => {
+    const month = Date.newFull(r.fromDate).firstDayThisMonth();
+    const end = Date.newFull(r.toDate);
+    while (month <= end) {
+      months.add(month.yyyymmdd().slice(0, 7));
+      month.addMonths(1);
+    }
+  });
+  return [...months];
+}
+
+async function readSnapshotMonth(clubId, month) {
+  try {
+    return JSON.parse(await fs.promises.readFile(path.join(getSnapshotClubDir(clubId), `${month}.json`), 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+async function writeSnapshotMonth(clubId, month, facts) {
+  const dir = getSnapshotClubDir(clubId);
+  const file = path.join(dir, `${month}.json`);
+  await fs.promises.mkdir(dir, { recursive: true });
+  await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(facts));
+  await fs.promises.rename(`${file}.tmp`, file);
+}
+
+function saveSnapshotStatus() {
+  fs.promises.mkdir(SNAPSHOT_DIR, { recursive: true })
+    .then(() => fs.promises.writeFile(path.join(SNAPSHOT_DIR, 'sync-status.json'), JSON.stringify(snapshotStatus, null, 2)))
+    .catch(err => console.error('Error saving snapshot status:', err.message));
+}
+
+/**
+ * Replace the stored facts for the synced ranges with freshly fetched workouts
+ */
+async function writeSnapshotFacts(clubId, syncedRanges, workouts) {
+  const inSynced = dateStr => syncedRanges.some(r => dateStr >= r.fromDate && dateStr <= r.toDate);
+
+  for (const month of getSnapshotMonths(syncedRanges)) {
+    const facts = await readSnapshotMonth(clubId, month);
+    Object.keys(facts).forEach(id => {
+      if (inSynced(facts[id].startTime.split(' ')[0])) delete facts[id];
+    });
+    workouts
+      .filter(w => w.startTime.startsWith(month) && inSynced(w.startTime.split(' ')[0]))
+      .forEach(w => { facts[w.id] = toSnapshotFact(clubId, w); });
+    await writeSnapshotMonth(clubId, month, facts);
+  }
+}
+
+/**
+ * Read stored workouts for a club within the given ranges
+ */
+async function readSnapshotWorkouts(clubId, ranges) {
+  const workouts = [];
+  for (const month of getSnapshotMonths(ranges)) {
+    const facts = await readSnapshotMonth(clubId, month);
+    Object.values(facts).forEach(f => {
+      const dateStr = f.startTime.split(' ')[0];
+      if (ranges.some(r => dateStr >= r.fromDate && dateStr <= r.toDate)) {
+        workouts.push(fromSnapshotFact(f));
+      }
+    });
+  }
+  return workouts;
+}
+
+/**
+ * Fetch a date range from Zoezi into a club's snapshot store
+ * Without a range, continues from the end of the stored history (or the last
+ * SNAPSHOT_INITIAL_DAYS days) up to yesterday. Today and future days are never stored.
+ */
+async function syncClubSnapshots(club, range = {}) {
+  const clubId = String(club.Club_Zoezi_ID);
+  if (snapshotSyncRunning.has(clubId)) {
+    throw new Error(`Sync already running for club ${clubId}`);
+  }
+
+  const status = snapshotStatus[clubId] || { coverage: [] };
+  snapshotStatus[clubId] = status;
+  status.clubName = club.Club_name;
+
+  const yesterday = shiftDate(getZonedToday(getClubTimeZone(club)), -1);
+  const lastCovered = status.coverage[status.coverage.length - 1];
+  const fromDate = range.fromDate || (lastCovered ? shiftDate(lastCovered.toDate, 1) : shiftDate(yesterday, -(SNAPSHOT_INITIAL_DAYS - 1)));
+  const toDate = range.toDate && range.toDate < yesterday ? range.toDate : yesterday;
+  if (fromDate > toDate) {
+    return status;
+  }
+
+  snapshotSyncRunning.add(clubId);
+  status.status = 'running';
+  status.error = null;
+  saveSnapshotStatus();
+
+  try {
+    const { workouts, missingRanges } = await fetchWorkoutsChunked(club, fromDate, toDate);
+    const syncedRanges = subtractRanges({ fromDate, toDate }, missingRanges);
+    await writeSnapshotFacts(clubId, syncedRanges, workouts);
+
+    status.coverage = mergeRanges([...status.coverage, ...syncedRanges]);
+    status.status = missingRanges.length > 0 ? 'partial' : 'ok';
+    status.error = missingRanges.length > 0
+      ? `Missing ${missingRanges.map(r => `${r.fromDate} to ${r.toDate}`).join(', ')}`
+      : null;
+    status.lastSuccessAt = new Date().toISOString();
+    status.lastWorkouts = workouts.length;
+  } catch (error) {
+    console.error(`Snapshot sync failed for club ${clubId}:`, error.message);
+    status.status = 'error';
+    status.error = error.message;
+  } finally {
+    snapshotSyncRunning.delete(clubId);
+    status.lastSyncAt = new Date().toISOString();
+    saveSnapshotStatus();
+  }
+
+  return status;
+}
+
+/**
+ * Every club in the Clubs table
+ */
+async function getSnapshotClubs() {
+  const supabase = getSupabase();
+  const { data: clubs, error } = await supabase
+    .from('Clubs')
+    .select('*')
+    .order('Club_name');
+
+  if (error) throw error;
+  return clubs || [];
+}
+
+/**
+ * Sync clubs one at a time, every club in the Clubs table by default
+ */
+async function syncAllClubSnapshots(clubs) {
+  for (const club of clubs || await getSnapshotClubs()) {
+    await syncClubSnapshots(club).catch(err => console.error(`Snapshot sync skipped for club ${club.Club_Zoezi_ID}:`, err.message));
+  }
+}
+
+/**
+ * The next instant after `instant` that is SNAPSHOT_SYNC_HOUR:00 in a timezone
+ */
+function getNextSnapshotSyncAt(timeZone, instant = Date.now()) {
+  const today = getZonedToday(timeZone, instant);
+  const time = `${String(SNAPSHOT_SYNC_HOUR).padStart(2, '0')}:00:00`;
+  const next = getZonedInstant(`${today} ${time}`, timeZone);
+  return next > instant ? next : getZonedInstant(`${shiftDate(today, 1)} ${time}`, timeZone);
+}
+
+/**
+ * Sync each club every night at SNAPSHOT_SYNC_HOUR in its own timezone
+ * The Clubs table is read again for every run, so new clubs and changed
+ * timezones are picked up. If it can't be read, tries again in an hour.
+ */
+async function scheduleNightlySnapshotSync() {
+  const now = Date.now();
+  let due = [];
+  try {
+    due = (await getSnapshotClubs()).map(club => ({ club, at: getNextSnapshotSyncAt(getClubTimeZone(club), now) }));
+  } catch (error) {
+    console.error('Nightly snapshot sync not scheduled:', error.message);
+  }
+  const next = due.length > 0 ? Math.min(...due.map(d => d.at)) : now + 60 * 60 * 1000;
+
+  setTimeout(async () => {
+    try {
+      await syncAllClubSnapshots(due.filter(d => d.at === next).map(d => d.club));
+    } catch (error) {
+      console.error('Nightly snapshot sync failed:', error.message);
+    }
+    scheduleNightlySnapshotSync();
+  }, Math.max(next - Date.now(), 0));
+}
+
+/**
+ * Load a club's workouts for a date range: stored history where the snapshot
+ * store covers it, live Zoezi data for the rest. Member ids are pseudonymised
+ * whichever mix of the two a range gets, so a member has the same id in every
+ * range (comparisons, drill-downs).
+ * Returns { workouts, missingRanges, storedRanges }
+ */
+async function loadWorkouts(club, fromDate, toDate) {
+  const clubId = String(club.Club_Zoezi_ID);
+  const coverage = SNAPSHOT_ENABLED ? (snapshotStatus[clubId]?.coverage || []) : [];
+  const storedRanges = intersectRanges({ fromDate, toDate }, coverage);
+  if (storedRanges.length === 0) {
+    const { workouts, missingRanges } = await fetchWorkoutsChunked(club, fromDate, toDate);
+    return { workouts: pseudonymiseWorkouts(clubId, workouts), missingRanges, storedRanges };
+  }
+
+  const liveRanges = subtractRanges({ fromDate, toDate }, storedRanges);
+  const [storedWorkouts, liveResults] = await Promise.all([
+    readSnapshotWorkouts(clubId, storedRanges),
+    Promise.all(liveRanges.map(r => fetchWorkoutsChunked(club, r.fromDate, r.toDate)
+      .catch(error => ({ workouts: [], missingRanges: [{ ...r, error: error.message }] }))))
+  ]);
+
+  const liveWorkouts = pseudonymiseWorkouts(clubId, liveResults.flatMap(r => r.workouts));
+
+  const workouts = [...filterAllowedSites(club, storedWorkouts), ...liveWorkouts]
+    .sort((a, b) => String(a.startTime).localeCompare(String(b.startTime)));
+  return {
+    workouts,
+    missingRanges: liveResults.flatMap(r => r.missingRanges),
+    storedRanges
+  };
+}
+
+// =============================================================================
+// PORTFOLIO
+// =============================================================================
+
+// Clubs processed at once - each club already fetches its chunks in parallel
+const PORTFOLIO_CONCURRENCY = 2;
+
+/**
+ * Threshold flags for a portfolio row: which metrics fall outside the limits
+ * Thresholds: { minFillRate, maxEmptyRate } (either may be null)
+ */
+function getPortfolioFlags(row, thresholds) {
+  const flags = [];
+  if (thresholds.minFillRate != null && parseFloat(row.overallAttendanceRate) < thresholds.minFillRate) {
+    flags.push('fillRate');
+  }
+  if (thresholds.maxEmptyRate != null && parseFloat(row.emptyRate) > thresholds.maxEmptyRate) {
+    flags.push('emptyRate');
+  }
+  return flags;
+}
+
+/**
+ * Run the analytics pipeline for several clubs and build a league table
+ * Clubs that fail to load are listed with an error instead of failing the whole request.
+ */
+async function buildPortfolio(clubs, fromDate, toDate, options = {}, thresholds = {}) {
+  const results = await mapWithConcurrency(clubs, PORTFOLIO_CONCURRENCY, async club => {
+    const { workouts, missingRanges } = await loadWorkouts(club, fromDate, toDate);
+    return { summary: processAnalytics(workouts, { ...options, timeZone: getClubTimeZone(club) }).summary, missingRanges };
+  });
+
+  const rows = clubs.map((club, i) => {
+    const base = { clubId: club.Club_Zoezi_ID, name: club.Club_name };
+    const result = results[i];
+    if (result.error) {
+      console.error(`Portfolio: club ${club.Club_Zoezi_ID} failed:`, result.error.message);
+      return { ...base, error: result.error.message, flags: [] };
+    }
+
+    const { summary, missingRanges } = result.value;
+    const row = {
+      ...base,
+      totalClasses: summary.totalClasses,
+      totalBooked: summary.totalBooked,
+      totalCapacity: summary.totalCapacity,
+      overallAttendanceRate: summary.overallAttendanceRate,
+      emptyClasses: summary.emptyClasses,
+      emptyRate: summary.emptyRate,
+      uniqueParticipants: summary.uniqueParticipants,
+      showUpRate: summary.showUpRate,
+      missingRanges: missingRanges.length
+    };
+    row.flags = getPortfolioFlags(row, thresholds);
+    return row;
+  });
+
+  const loaded = rows.filter(r => !r.error);
+  const sum = key => loaded.reduce((total, r) => total + r[key], 0);
+  const totalClasses = sum('totalClasses');
+  const totalBooked = sum('totalBooked');
+  const totalCapacity = sum('totalCapacity');
+  const emptyClasses = sum('emptyClasses');
+
+  return {
+    dateRange: { fromDate, toDate },
+    includeCancelled: !!options.includeCancelled,
+    thresholds,
+    totals: {
+      clubs: loaded.length,
+      failedClubs: rows.length - loaded.length,
+      flaggedClubs: rows.filter(r => r.flags.length > 0).length,
+      totalClasses,
+      totalBooked,
+      totalCapacity,
+      overallAttendanceRate: totalCapacity > 0 ? (totalBooked / totalCapacity * 100).toFixed(1) : 0,
+      emptyClasses,
+      emptyRate: totalClasses > 0 ? (emptyClasses / totalClasses * 100).toFixed(1) : 0,
+      // Members are counted per club - someone training at two clubs counts twice
+      uniqueParticipants: sum('uniqueParticipants')
+    },
+    clubs: rows
+  };
+}
+
+// =============================================================================
+// BENCHMARKS
+// =============================================================================
+//
+// Cross-club benchmarks never publish another club's identity or figures - not
+// even cohort quartiles, which with a small cohort are individual clubs' values.
+// A club only learns which quarter of the cohort it falls in, the cohort leaves
+// the club itself out, and a position is only published when at least
+// BENCHMARK_MIN_COHORT other clubs (each with BENCHMARK_MIN_CLASSES classes)
+// contribute to it. Club ids stay in the in-memory cohort only to leave the
+// requesting club out.
+
+// `${fromDate}|${toDate}|${includeCancelled}` -> { expires, promise }
+const benchmarkCache = new Map();
+
+function normaliseTypeName(name) {
+  return String(name || '').trim().toLowerCase();
+}
+
+/**
+ * The fixed period a date range is benchmarked over: the whole calendar months
+ * it touches, at most the last BENCHMARK_MAX_MONTHS. Every cohort loads every
+ * club, so snapping keeps the number of cohorts small whatever ranges embeds ask for.
+ */
+function getBenchmarkPeriod(fromDate, toDate) {
+  const lastMonth = Date.newFull(`${toDate.slice(0, 7)}-01`);
+  const earliest = lastMonth.clone().addMonths(-(BENCHMARK_MAX_MONTHS - 1)).yyyymmdd();
+  const firstMonth = `${fromDate.slice(0, 7)}-01`;
+  return {
+    fromDate: firstMonth > earliest ? firstMonth : earliest,
+    toDate: lastMonth.clone().addMonths(1).addDays(-1).yyyymmdd()
+  };
+}
+
+/**
+ * Collect the benchmark cohort for a period from getBenchmarkPeriod (cached for
+ * an hour). Returns [{ clubId, fillRate, emptyRate, byType: { [normalisedName]: rate } }]
+ */
+function getBenchmarkCohort(fromDate, toDate, options = {}) {
+  const key = `${fromDate}|${toDate}|${!!options.includeCancelled}`;
+  const cached = benchmarkCache.get(key);
+  if (cached && cached.expires > Date.now()) {
+    return cached.promise;
+  }
+
+  const promise = (async () => {
+    const supabase = getSupabase();
+    const { data: clubs, error } = await supabase
+      .from('Clubs')
+      .select('*');
+
+    if (error) throw error;
+
+    const results = await mapWithConcurrency(clubs || [], PORTFOLIO_CONCURRENCY, async club => {
+      const { workouts } = await loadWorkouts(club, fromDate, toDate);
+      return processAnalytics(workouts, { ...options, timeZone: getClubTimeZone(club) });
+    });
+
+    const cohort = [];
+    results.forEach((result, i) => {
+      if (!result.value || result.value.summary.totalClasses < BENCHMARK_MIN_CLASSES) return;
+
+      const byType = {};
+      result.value.byType.forEach(t => {
+        if (t.classes >= BENCHMARK_MIN_CLASSES) byType[normaliseTypeName(t.name)] = parseFloat(t.attendanceRate);
+      });
+      cohort.push({
+        clubId: String(clubs[i].Club_Zoezi_ID),
+        fillRate: parseFloat(result.value.summary.overallAttendanceRate),
+        emptyRate: parseFloat(result.value.summary.emptyRate),
+        byType
+      });
+    });
+    return cohort;
+  })();
+
+  // Drop expired ranges so the cache doesn't grow with every date range asked for
+  benchmarkCache.forEach((entry, k) => {
+    if (entry.expires <= Date.now()) benchmarkCache.delete(k);
+  });
+  benchmarkCache.set(key, { expires: Date.now() + BENCHMARK_TTL, promise });
+  promise.catch(() => benchmarkCache.delete(key));
+  return promise;
+}
+
+/**
+ * Value at a percentile (0-1) of a sorted list, linearly interpolated
+ */
+function percentileOf(sorted, p) {
+  const index = (sorted.length - 1) * p;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+/**
+ * Which quarter of the cohort a club's value falls in:
+ * 'top25' | 'aboveMedian' | 'belowMedian' | 'bottom25'.
+ * Returns null if the cohort is too small.
+ */
+function benchmarkBand(values, own, lowerIsBetter = false) {
+  if (values.length < BENCHMARK_MIN_COHORT || own == null || isNaN(own)) return null;
+
+  const beaten = values.filter(v => (lowerIsBetter ? v > own : v < own)).length / values.length;
+  let position = 'bottom25';
+  if (beaten >= 0.75) position = 'top25';
+  else if (beaten >= 0.5) position = 'aboveMedian';
+  else if (beaten >= 0.25) position = 'belowMedian';
+  return { cohortSize: values.length, position };
+}
+
+/**
+ * Where one club's analytics sit in a cohort from getBenchmarkCohort, leaving
+ * the club itself out of it
+ */
+function compareWithCohort(analytics, cohort) {
+  const others = cohort.filter(c => c.clubId !== String(analytics.club.id));
+  const { summary } = analytics;
+  const hasEnoughClasses = summary.totalClasses >= BENCHMARK_MIN_CLASSES;
+
+  const byType = {};
+  analytics.byType.forEach(t => {
+    if (t.classes < BENCHMARK_MIN_CLASSES) return;
+    const name = normaliseTypeName(t.name);
+    const values = others.filter(c => c.byType[name] != null).map(c => c.byType[name]);
+    const band = benchmarkBand(values, parseFloat(t.attendanceRate));
+    if (band) byType[t.name] = band;
+  });
+
+  return {
+    minCohortSize: BENCHMARK_MIN_COHORT,
+    overallAttendanceRate: hasEnoughClasses ? benchmarkBand(others.map(c => c.fillRate), parseFloat(summary.overallAttendanceRate)) : null,
+    emptyRate: hasEnoughClasses ? benchmarkBand(others.map(c => c.emptyRate), parseFloat(summary.emptyRate), true) : null,
+    byType
+  };
+}
+
+/**
+ * Benchmarks for one club's analytics against all other clubs over the
+ * calendar months of its range
+ */
+async function buildBenchmarks(analytics, options = {}) {
+  const period = getBenchmarkPeriod(analytics.dateRange.fromDate, analytics.dateRange.toDate);
+  const cohort = await getBenchmarkCohort(period.fromDate, period.toDate, options);
+  return { ...compareWithCohort(analytics, cohort), period };
+}
+
+// =============================================================================
+// SCHEDULE RECOMMENDATIONS
+// =============================================================================
+// Suggestions are built from recurring slots (same class type, weekday, start
+// time and site). Only sessions that have started count - future bookings are
+// still coming in - and a slot needs a few weeks of history before it is judged.
+
+const RECOMMENDATION_MIN_WEEKS = 3;
+const RECOMMENDATION_LOW_FILL = 30;      // % - "consistently under" this is a cancel/move candidate
+const RECOMMENDATION_FULL_FILL = 90;     // % - full enough to need more room
+const RECOMMENDATION_LIMIT = 20;
+
+const RECOMMENDATION_DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Least-squares fill rate trend in percentage points per week
+ */
+function getFillTrend(sessions) {
+  if (sessions.length < 2) return 0;
+  const first = new Date(sessions[0].date).getTime();
+  const points = sessions.map(s => ({ x: (new Date(s.date).getTime() - first) / (7 * 86400000), y: s.fill }));
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+  const sxx = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+  const sxy = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0);
+  return sxx > 0 ? parseFloat((sxy / sxx).toFixed(1)) : 0;
+}
+
+/**
+ * Recurring slots with enough history, each with its evidence
+ */
+function getRecurringSlots(workouts, now) {
+  const slots = {};
+  workouts.forEach(w => {
+    const space = w.space || 0;
+    if (getWorkoutStatus(w) !== 'ok' || space <= 0) return;
+    if (w.startTime > now) return;
+
+    const typeName = w.workoutType?.name || 'Unknown';
+    const start = parseWallTime(w.startTime);
+    const key = getSlotKey(w, typeName, start.dayOfWeek);
+    if (!slots[key]) {
+      slots[key] = {
+        key,
+        typeName,
+        dayIndex: start.dayOfWeek,
+        time: start.time,
+        siteId: w.site_id || w.siteId || null,
+        sessions: []
+      };
+    }
+    const booked = w.numBooked || 0;
+    slots[key].sessions.push({ date: start.date, fill: booked / space * 100, booked, space, queued: w.numQueue || 0 });
+  });
+
+  return Object.values(slots)
+    .filter(slot => slot.sessions.length >= RECOMMENDATION_MIN_WEEKS)
+    .map(slot => {
+      const sessions = slot.sessions.sort((a, b) => a.date.localeCompare(b.date));
+      const weeks = sessions.length;
+      const trend = getFillTrend(sessions);
+      const queued = sessions.filter(s => s.queued > 0);
+      return {
+        key: slot.key,
+        typeName: slot.typeName,
+        day: RECOMMENDATION_DAY_NAMES[slot.dayIndex],
+        dayIndex: slot.dayIndex,
+        time: slot.time,
+        siteId: slot.siteId,
+        evidence: {
+          weeks,
+          firstDate: sessions[0].date,
+          lastDate: sessions[weeks - 1].date,
+          avgFill: parseFloat((sessions.reduce((sum, s) => sum + s.fill, 0) / weeks).toFixed(1)),
+          lowWeeks: sessions.filter(s => s.fill < RECOMMENDATION_LOW_FILL).length,
+          queuedWeeks: queued.length,
+          avgQueue: parseFloat((sessions.reduce((sum, s) => sum + s.queued, 0) / weeks).toFixed(1)),
+          avgBooked: parseFloat((sessions.reduce((sum, s) => sum + s.booked, 0) / weeks).toFixed(1)),
+          maxBooked: Math.max(...sessions.map(s => s.booked)),
+          capacity: sessions[weeks - 1].space,
+          trend,
+          trendLabel: trend >= 2 ? 'rising' : trend <= -2 ? 'falling' : 'stable'
+        }
+      };
+    });
+}
+
+function describeSlot(slot) {
+  return `${slot.typeName} on ${slot.day} ${slot.time}`;
+}
+
+function describeTrend(evidence) {
+  return evidence.trendLabel === 'stable'
+    ? 'stable'
+    : `${evidence.trendLabel} ${Math.abs(evidence.trend)} pp/week`;
+}
+
+/**
+ * Recommendations for a gym and date range, for the API
+ */
+async function buildRecommendations(club, fromDate, toDate) {
+  const { workouts, missingRanges } = await loadWorkouts(club, fromDate, toDate);
+  const result = {
+    club: { id: club.Club_Zoezi_ID, name: club.Club_name },
+    dateRange: { fromDate, toDate },
+    recommendations: processRecommendations(workouts, getZonedTime(getClubTimeZone(club)))
+  };
+  if (missingRanges.length > 0) {
+    result.missingRanges = missingRanges;
+  }
+  return result;
+}
+
+/**
+ * Ranked, explained schedule suggestions: cancel or move weak slots, add
+ * sessions or capacity where classes overflow, resize half-empty rooms and
+ * give an overflowing class the bigger slot of a weak class the same day.
+ * Score = spots per week gained or freed, weighted by how many weeks back it.
+ */
+function processRecommendations(workouts, now = getZonedTime(DEFAULT_TIMEZONE)) {
+  const slots = getRecurringSlots(workouts, now);
+  const isWeak = slot => slot.evidence.avgFill < RECOMMENDATION_LOW_FILL &&
+    slot.evidence.lowWeeks / slot.evidence.weeks >= 0.75 &&
+    slot.evidence.trendLabel !== 'rising';
+  const isOverflowing = slot => slot.evidence.avgFill >= RECOMMENDATION_FULL_FILL &&
+    slot.evidence.queuedWeeks / slot.evidence.weeks >= 0.5;
+
+  const suggestions = [];
+  const suggest = (action, slot, impact, title, reason, extra = {}) => {
+    const score = parseFloat((impact * Math.min(slot.evidence.weeks, 8) / 8).toFixed(1));
+    suggestions.push({
+      action,
+      priority: score >= 5 ? 'high' : score >= 2 ? 'medium' : 'low',
+      score,
+      typeName: slot.typeName,
+      day: slot.day,
+      dayIndex: slot.dayIndex,
+      time: slot.time,
+      siteId: slot.siteId,
+      title,
+      reason,
+      evidence: slot.evidence,
+      ...extra
+    });
+  };
+
+  // Swap: an overflowing class takes the bigger slot of a weak class the same day and site
+  const used = new Set();
+  slots.filter(isOverflowing)
+    .sort((a, b) => b.evidence.avgQueue - a.evidence.avgQueue)
+    .forEach(strong => {
+      const weak = slots
+        .filter(w => !used.has(w.key) && w.typeName !== strong.typeName && w.siteId === strong.siteId && w.dayIndex === strong.dayIndex &&
+          w.evidence.avgFill < 40 && w.evidence.capacity - strong.evidence.capacity >= 2)
+        .sort((a, b) => b.evidence.capacity - a.evidence.capacity)[0];
+      if (!weak) return;
+
+      used.add(strong.key);
+      used.add(weak.key);
+      const extraSpots = weak.evidence.capacity - strong.evidence.capacity;
+      suggest('swap', strong, Math.min(strong.evidence.avgQueue, extraSpots),
+        `Swap ${describeSlot(strong)} with ${describeSlot(weak)}`,
+        `${strong.typeName} is ${strong.evidence.avgFill}% full with a queue in ${strong.evidence.queuedWeeks} of ${strong.evidence.weeks} weeks, ` +
+        `while ${weak.typeName} fills ${weak.evidence.avgFill}% of its ${weak.evidence.capacity} spots. Swapping gives ${strong.typeName} ${extraSpots} more spots.`,
+        { swapWith: { typeName: weak.typeName, day: weak.day, dayIndex: weak.dayIndex, time: weak.time, evidence: weak.evidence } });
+    });
+
+  slots.filter(slot => !used.has(slot.key)).forEach(slot => {
+    const e = slot.evidence;
+
+    if (isWeak(slot)) {
+      // Move if the same class does well at another time, otherwise cancel
+      const better = slots
+        .filter(o => o.key !== slot.key && o.typeName === slot.typeName && o.siteId === slot.siteId && o.evidence.avgFill >= 60)
+        .sort((a, b) => b.evidence.avgFill - a.evidence.avgFill)[0];
+      const freed = Math.max(0, e.capacity - e.avgBooked);
+      if (better) {
+        suggest('move', slot, freed,
+          `Move ${describeSlot(slot)}`,
+          `Under ${RECOMMENDATION_LOW_FILL}% full in ${e.lowWeeks} of ${e.weeks} weeks (avg ${e.avgFill}%, ${describeTrend(e)}). ` +
+          `The same class fills ${better.evidence.avgFill}% on ${better.day} ${better.time}.`,
+          { moveTo: { day: better.day, dayIndex: better.dayIndex, time: better.time, avgFill: better.evidence.avgFill } });
+      } else {
+        suggest('cancel', slot, freed,
+          `Cancel ${describeSlot(slot)}`,
+          `Under ${RECOMMENDATION_LOW_FILL}% full in ${e.lowWeeks} of ${e.weeks} weeks (avg ${e.avgFill}%, ${describeTrend(e)}).`);
+      }
+      return;
+    }
+
+    if (isOverflowing(slot)) {
+      // A small queue fits in a bigger room, a long one needs another session
+      const extra = Math.ceil(e.avgQueue);
+      if (e.avgQueue <= Math.max(2, e.capacity * 0.2)) {
+        suggest('capacity', slot, extra,
+          `Raise capacity for ${describeSlot(slot)} to ${e.capacity + extra}`,
+          `${e.avgFill}% full with a queue in ${e.queuedWeeks} of ${e.weeks} weeks (avg ${e.avgQueue} queuing). ${extra} more spots would take most of the queue, if the room allows.`,
+          { capacity: { from: e.capacity, to: e.capacity + extra } });
+      } else {
+        suggest('add', slot, e.avgQueue,
+          `Add a ${slot.typeName} session near ${slot.day} ${slot.time}`,
+          `${e.avgFill}% full with a queue in ${e.queuedWeeks} of ${e.weeks} weeks (avg ${e.avgQueue} queuing, ${describeTrend(e)}).`);
+      }
+      return;
+    }
+
+    // Half-empty every week: a smaller room frees the bigger one for busier classes
+    const target = e.maxBooked + 2;
+    if (e.avgFill < 50 && e.trendLabel !== 'rising' && target <= e.capacity * 0.7) {
+      suggest('capacity', slot, (e.capacity - target) / 2,
+        `Lower capacity for ${describeSlot(slot)} to ${target}`,
+        `Never more than ${e.maxBooked} of ${e.capacity} spots booked in ${e.weeks} weeks (avg ${e.avgFill}%, ${describeTrend(e)}).`,
+        { capacity: { from: e.capacity, to: target } });
+    }
+  });
+
+  return suggestions
+    .sort((a, b) => b.score - a.score)
+    .slice(0, RECOMMENDATION_LIMIT);
+}
+
+// =============================================================================
+// FORECAST
+// =============================================================================
+// Zoezi has no booking timestamps, so the booking build-up is estimated from
+// the upcoming schedule itself: how full classes N days out already are,
+// compared with the final demand of the same slot in past weeks. Demand is
+// bookings + queue, so overbooked classes show up as demand above capacity.
+
+const FORECAST_HISTORY_WEEKS = 8;
+const FORECAST_MAX_WEEKS = 4;
+const FORECAST_LOW_FILL = 30;            // % - flagged as nearly empty below this
+const FORECAST_MIN_CURVE_SAMPLES = 5;    // classes per lead-time bucket before the measured share is used
+
+// Lead-time buckets in days, with the share of final demand usually booked by
+// then - used until enough classes have been seen in a bucket
+const FORECAST_LEAD_BUCKETS = [
+  { label: 'Today', minDays: 0, maxDays: 0, defaultShare: 0.95 },
+  { label: '1 day', minDays: 1, maxDays: 1, defaultShare: 0.85 },
+  { label: '2-3 days', minDays: 2, maxDays: 3, defaultShare: 0.7 },
+  { label: '4-6 days', minDays: 4, maxDays: 6, defaultShare: 0.55 },
+  { label: '1-2 weeks', minDays: 7, maxDays: 13, defaultShare: 0.35 },
+  { label: '2-3 weeks', minDays: 14, maxDays: 20, defaultShare: 0.2 },
+  { label: '3-4 weeks', minDays: 21, maxDays: 27, defaultShare: 0.1 }
+];
+
+function getLeadBucket(daysAhead) {
+  const index = FORECAST_LEAD_BUCKETS.findIndex(b => daysAhead <= b.maxDays);
+  return index === -1 ? FORECAST_LEAD_BUCKETS.length - 1 : index;
+}
+
+function meanAndDeviation(values) {
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+  return { mean, sd: Math.sqrt(variance) };
+}
+
+/**
+ * Predict final demand for upcoming classes from past weeks of the same slot
+ * (or the class type's average fill if the slot is new) and the bookings so far.
+ * Ranges are roughly 80% intervals. Start times are read in the club's timeZone.
+ */
+function processForecast(history, upcoming, now = Date.now(), timeZone = DEFAULT_TIMEZONE) {
+  const nowStr = getZonedTime(timeZone, now);
+
+  // Final demand per recurring slot, and fill per class type as a fallback
+  const bySlot = {};
+  const byType = {};
+  history.forEach(w => {
+    const space = w.space || 0;
+    if (getWorkoutStatus(w) !== 'ok' || space <= 0) return;
+    if (w.startTime > nowStr) return;
+
+    const typeName = w.workoutType?.name || 'Unknown';
+    const demand = (w.numBooked || 0) + (w.numQueue || 0);
+    const key = getSlotKey(w, typeName, parseWallTime(w.startTime).dayOfWeek);
+    (bySlot[key] = bySlot[key] || []).push(demand);
+    (byType[typeName] = byType[typeName] || []).push(demand / space);
+  });
+
+  const classes = upcoming
+    .filter(w => getWorkoutStatus(w) === 'ok' && (w.space || 0) > 0 && w.startTime > nowStr)
+    .map(w => {
+      const startTime = parseWallTime(w.startTime);
+      const typeName = w.workoutType?.name || 'Unknown';
+      const space = w.space;
+      const slotHistory = bySlot[getSlotKey(w, typeName, startTime.dayOfWeek)] || [];
+      const typeHistory = byType[typeName] || [];
+
+      let basis = 'none';
+      let expected = null;
+      if (slotHistory.length >= 2) {
+        basis = 'slot';
+        expected = meanAndDeviation(slotHistory);
+      } else if (typeHistory.length >= 2) {
+        basis = 'type';
+        const fill = meanAndDeviation(typeHistory);
+        expected = { mean: fill.mean * space, sd: fill.sd * space };
+      }
+
+      return {
+        w,
+        typeName,
+        space,
+        startTime,
+        current: (w.numBooked || 0) + (w.numQueue || 0),
+        daysAhead: Math.floor((getZonedInstant(w.startTime, timeZone) - now) / 86400000),
+        basis,
+        historyWeeks: slotHistory.length,
+        expected
+      };
+    });
+
+  // Share of final demand already booked, per lead-time bucket
+  const samples = FORECAST_LEAD_BUCKETS.map(() => []);
+  classes.forEach(c => {
+    if (c.basis === 'slot' && c.expected.mean > 0) {
+      samples[getLeadBucket(c.daysAhead)].push(Math.min(1.5, c.current / c.expected.mean));
+    }
+  });
+  const shares = FORECAST_LEAD_BUCKETS.map((bucket, i) =>
+    samples[i].length >= FORECAST_MIN_CURVE_SAMPLES ? Math.min(1, percentileOf([...samples[i]].sort((a, b) => a - b), 0.5)) : bucket.defaultShare
+  );
+  // Classes further out can't be fuller than ones about to start
+  for (let i = shares.length - 2; i >= 0; i--) {
+    shares[i] = Math.max(shares[i], shares[i + 1]);
+  }
+
+  const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+  const predictions = classes.map(c => {
+    const share = shares[getLeadBucket(c.daysAhead)];
+    const pickup = share > 0 ? c.current / share : c.current;
+
+    // Blend: the more bookings are usually in by now, the more the current count says
+    let demand;
+    let sd;
+    if (c.expected) {
+      demand = share * pickup + (1 - share) * c.expected.mean;
+      sd = Math.max(0.5, (1 - share) * Math.sqrt(c.expected.sd ** 2 + (0.25 * demand) ** 2));
+    } else {
+      demand = pickup;
+      sd = 0.3 * Math.max(demand, c.space * 0.3);
+    }
+    demand = Math.max(demand, c.current);
+
+    const low = Math.max(c.current, Math.round(demand - 1.28 * sd));
+    const high = Math.max(low, Math.round(demand + 1.28 * sd));
+    const rounded = Math.round(demand);
+    const bookings = Math.min(rounded, c.space);
+    const fill = parseFloat((bookings / c.space * 100).toFixed(1));
+    const width = (high - low) / c.space;
+
+    const flags = [];
+    if (fill < FORECAST_LOW_FILL) flags.push('nearlyEmpty');
+    if (rounded > c.space) flags.push('overbooked');
+
+    return {
+      id: c.w.id,
+      typeName: c.typeName,
+      typeColor: c.w.workoutType?.color || '#667eea',
+      startTime: c.w.startTime,
+      date: c.startTime.date,
+      day: dayNames[c.startTime.dayOfWeek],
+      time: c.startTime.time,
+      siteId: c.w.site_id || c.w.siteId || null,
+      staffs: (c.w.staffs || []).map(getStaffName),
+      space: c.space,
+      booked: c.w.numBooked || 0,
+      queued: c.w.numQueue || 0,
+      daysAhead: c.daysAhead,
+      basis: c.basis,
+      historyWeeks: c.historyWeeks,
+      predicted: {
+        demand: rounded,
+        bookings,
+        queue: Math.max(0, rounded - c.space),
+        fill,
+        low,
+        high
+      },
+      // High only once most bookings are usually in
+      confidence: c.basis === 'slot' && share >= 0.5 && width <= 0.25 ? 'high' : c.basis !== 'none' && width <= 0.5 ? 'medium' : 'low',
+      flags
+    };
+  }).sort((a, b) => a.startTime.localeCompare(b.startTime));
+
+  const totalSpace = predictions.reduce((sum, p) => sum + p.space, 0);
+  const totalPredicted = predictions.reduce((sum, p) => sum + p.predicted.bookings, 0);
+  return {
+    pickupCurve: FORECAST_LEAD_BUCKETS.map((bucket, i) => ({
+      label: bucket.label,
+      minDays: bucket.minDays,
+      maxDays: bucket.maxDays,
+      share: parseFloat(shares[i].toFixed(2)),
+      samples: samples[i].length,
+      measured: samples[i].length >= FORECAST_MIN_CURVE_SAMPLES
+    })),
+    summary: {
+      classes: predictions.length,
+      predictedFill: totalSpace > 0 ? parseFloat((totalPredicted / totalSpace * 100).toFixed(1)) : 0,
+      nearlyEmpty: predictions.filter(p => p.flags.includes('nearlyEmpty')).length,
+      overbooked: predictions.filter(p => p.flags.includes('overbooked')).length
+    },
+    classes: predictions
+  };
+}
+
+/**
+ * Forecast the next 1-4 weeks for a gym, from today
+ */
+async function buildForecast(club, weeks, now = new Date()) {
+  const timeZone = getClubTimeZone(club);
+  const today = getZonedToday(timeZone, now);
+  const toDate = shiftDate(today, weeks * 7 - 1);
+  const [history, upcoming] = await Promise.all([
+    loadWorkouts(club, shiftDate(today, -FORECAST_HISTORY_WEEKS * 7), shiftDate(today, -1)),
+    fetchWorkoutsChunked(club, today, toDate)
+  ]);
+
+  const forecast = processForecast(history.workouts, upcoming.workouts, now.getTime(), timeZone);
+  forecast.club = { id: club.Club_Zoezi_ID, name: club.Club_name };
+  forecast.timeZone = timeZone;
+  forecast.weeks = weeks;
+  forecast.dateRange = { fromDate: today, toDate };
+  forecast.generatedAt = now.toISOString();
+
+  const missingRanges = [...history.missingRanges, ...upcoming.missingRanges];
+  if (missingRanges.length > 0) {
+    forecast.missingRanges = missingRanges;
+  }
+  return forecast;
+}
+
+/**
+ * Parse ?weeks= (1-4, default 2) - null if invalid
+ */
+function parseForecastWeeks(value) {
+  if (value === undefined || value === '') return 2;
+  const weeks = parseInt(value, 10);
+  return weeks >= 1 && weeks <= FORECAST_MAX_WEEKS ? weeks : null;
+}
+
+// =============================================================================
+// INSTRUCTOR DRILL-DOWN
+// =============================================================================
+// One instructor's classes in a date range, keyed by Zoezi staff id (see
+// getStaffId). Only held classes count - cancelled and internal sessions are
+// left out, like the dashboard's default view.
+
+const INSTRUCTOR_SLOT_MIN_CLASSES = 2;   // a slot needs this many classes to be ranked
+const INSTRUCTOR_SLOT_LIMIT = 3;         // best and worst slots returned
+
+/**
+ * Running totals for a group of classes
+ */
+function newClassTotals() {
+  return { classes: 0, totalBooked: 0, totalCapacity: 0, trackedBooked: 0, attended: 0 };
+}
+
+function addClassTotals(totals, booked, space, attendance) {
+  totals.classes++;
+  totals.totalBooked += booked;
+  totals.totalCapacity += space;
+  totals.trackedBooked += attendance.attended + attendance.noShows.length;
+  totals.attended += attendance.attended;
+}
+
+/**
+ * Fill rate, average per class and show-up rate from running totals
+ */
+function summarizeClassTotals(totals) {
+  return {
+    classes: totals.classes,
+    totalBooked: totals.totalBooked,
+    totalCapacity: totals.totalCapacity,
+    avgAttendance: totals.classes > 0 ? (totals.totalBooked / totals.classes).toFixed(1) : 0,
+    attendanceRate: totals.totalCapacity > 0 ? (totals.totalBooked / totals.totalCapacity * 100).toFixed(1) : 0,
+    ...attendanceRates(totals.trackedBooked, totals.attended)
+  };
+}
+
+/**
+ * Drill-down for one instructor: weekly trend, class types taught (each
+ * compared with the other instructors of that type), best and worst recurring
+ * slots, and unique vs returning participants. Null if they taught nothing.
+ */
+function processInstructor(workouts, staffId, options = {}) {
+  const settings = options.settings || DEFAULT_CLUB_SETTINGS;
+  const now = getZonedTime(options.timeZone || DEFAULT_TIMEZONE);
+
+  const totals = newClassTotals();
+  const byWeek = {};
+  const byType = {};
+  const bySlot = {};
+  const bookingsByMember = {};
+  const names = {};
+  let latest = null;
+  let cancelled = 0;
+
+  // Every instructor's totals per class type, for the peer comparison
+  const typeInstructors = {};
+
+  workouts.forEach(w => {
+    const staffs = w.staffs || [];
+    const staff = staffs.find(s => getStaffId(s) === staffId);
+    const status = getWorkoutStatus(w);
+    if (staff && status === 'cancelled') cancelled++;
+    if (status !== 'ok') return;
+
+    const typeName = w.workoutType?.name || 'Unknown';
+    const space = w.space || 0;
+    const booked = w.numBooked || 0;
+    const attendance = getAttendance(w, now);
+
+    if (!typeInstructors[typeName]) typeInstructors[typeName] = {};
+    staffs.forEach(s => {
+      const id = getStaffId(s);
+      if (!typeInstructors[typeName][id]) typeInstructors[typeName][id] = newClassTotals();
+      addClassTotals(typeInstructors[typeName][id], booked, space, attendance);
+    });
+
+    if (!staff) return;
+
+    const start = parseWallTime(w.startTime);
+    const name = getStaffName(staff);
+    if (!names[name] || w.startTime > names[name]) names[name] = w.startTime;
+    if (!latest || w.startTime > latest.startTime) latest = { startTime: w.startTime, name, imagekey: staff.imagekey };
+
+    addClassTotals(totals, booked, space, attendance);
+
+    const week = getCohortPeriod(start.date, 'week', settings.weekStart);
+    if (!byWeek[week]) byWeek[week] = newClassTotals();
+    addClassTotals(byWeek[week], booked, space, attendance);
+
+    if (!byType[typeName]) byType[typeName] = { color: w.workoutType?.color || '#667eea', ...newClassTotals() };
+    addClassTotals(byType[typeName], booked, space, attendance);
+
+    const slotKey = getSlotKey(w, typeName, start.dayOfWeek);
+    if (!bySlot[slotKey]) {
+      bySlot[slotKey] = {
+        typeName,
+        dayIndex: start.dayOfWeek,
+        time: start.time,
+        siteId: w.site_id || w.siteId || null,
+        ...newClassTotals()
+      };
+    }
+    addClassTotals(bySlot[slotKey], booked, space, attendance);
+
+    (Array.isArray(w.bookings) ? w.bookings : []).forEach(booking => {
+      const userId = getBookingUserId(booking);
+      if (userId && !booking.inQueue) bookingsByMember[userId] = (bookingsByMember[userId] || 0) + 1;
+    });
+  });
+
+  if (!latest) return null;
+
+  const rate = t => (t.totalCapacity > 0 ? t.totalBooked / t.totalCapacity * 100 : 0);
+
+  const types = Object.entries(byType).map(([typeName, t]) => {
+    const instructors = Object.entries(typeInstructors[typeName])
+      .map(([id, p]) => ({ id, rate: rate(p) }))
+      .sort((a, b) => b.rate - a.rate);
+    const others = newClassTotals();
+    Object.entries(typeInstructors[typeName]).forEach(([id, p]) => {
+      if (id === staffId) return;
+      others.classes += p.classes;
+      others.totalBooked += p.totalBooked;
+      others.totalCapacity += p.totalCapacity;
+    });
+    return {
+      name: typeName,
+      color: t.color,
+      ...summarizeClassTotals(t),
+      peers: {
+        instructors: instructors.length - 1,
+        classes: others.classes,
+        attendanceRate: others.totalCapacity > 0 ? rate(others).toFixed(1) : null,
+        rateDiff: others.totalCapacity > 0 ? parseFloat((rate(t) - rate(others)).toFixed(1)) : null,
+        rank: instructors.findIndex(i => i.id === staffId) + 1
+      }
+    };
+  }).sort((a, b) => b.classes - a.classes);
+
+  const slots = Object.values(bySlot)
+    .filter(s => s.classes >= INSTRUCTOR_SLOT_MIN_CLASSES && s.totalCapacity > 0)
+    .map(s => ({
+      typeName: s.typeName,
+      day: RECOMMENDATION_DAY_NAMES[s.dayIndex],
+      dayIndex: s.dayIndex,
+      time: s.time,
+      siteId: s.siteId,
+      ...summarizeClassTotals(s)
+    }))
+    .sort((a, b) => parseFloat(b.attendanceRate) - parseFloat(a.attendanceRate));
+  // Top and bottom half, so a slot is never both best and worst
+  const bestCount = Math.min(INSTRUCTOR_SLOT_LIMIT, Math.ceil(slots.length / 2));
+  const worstCount = Math.min(INSTRUCTOR_SLOT_LIMIT, Math.floor(slots.length / 2));
+
+  const memberBookings = Object.values(bookingsByMember);
+  const returning = memberBookings.filter(count => count > 1).length;
+
+  return {
+    instructor: {
+      id: staffId,
+      name: latest.name,
+      imagekey: latest.imagekey,
+      // Every name used in the range, most recent first
+      names: Object.keys(names).sort((a, b) => names[b].localeCompare(names[a])),
+      lastClass: latest.startTime
+    },
+    summary: {
+      ...summarizeClassTotals(totals),
+      cancelled,
+      classTypes: types.length
+    },
+    trend: Object.keys(byWeek).sort().map(week => ({ week, ...summarizeClassTotals(byWeek[week]) })),
+    byType: types,
+    bestSlots: slots.slice(0, bestCount),
+    worstSlots: slots.slice(slots.length - worstCount).reverse(),
+    participants: {
+      unique: memberBookings.length,
+      returning,
+      oneTime: memberBookings.length - returning,
+      returningRate: memberBookings.length > 0 ? (returning / memberBookings.length * 100).toFixed(1) : 0,
+      avgBookingsPerMember: memberBookings.length > 0
+        ? (memberBookings.reduce((sum, count) => sum + count, 0) / memberBookings.length).toFixed(1)
+        : 0
+    }
+  };
+}
+
+/**
+ * Instructor drill-down for a gym and date range, for the API (null if the
+ * instructor taught no classes in the range)
+ */
+async function buildInstructor(club, staffId, fromDate, toDate) {
+  const [{ workouts, missingRanges }, settings] = await Promise.all([
+    loadWorkouts(club, fromDate, toDate),
+    getClubSettings(club.Club_Zoezi_ID)
+  ]);
+
+  const timeZone = getClubTimeZone(club);
+  const result = processInstructor(workouts, staffId, { timeZone, settings });
+  if (!result) return null;
+
+  result.club = { id: club.Club_Zoezi_ID, name: club.Club_name };
+  result.dateRange = { fromDate, toDate };
+  if (missingRanges.length > 0) {
+    result.missingRanges = missingRanges;
+  }
+  return result;
+}
+
+// =============================================================================
+// CLASS TYPE DRILL-DOWN
+// =============================================================================
+// One class type in a date range: its recurring slots with their history, who
+// teaches it best and how many participants are new to it. "New" means no
+// booking of the type in the CLASS_TYPE_LOOKBACK_DAYS before the range.
+
+const CLASS_TYPE_LOOKBACK_DAYS = 90;
+
+/**
+ * Drill-down for one class type: weekly trend, every slot (weekday, time and
+ * site) with its usual instructor and per-class fill history, instructors
+ * ranked by fill rate, and new vs known participants. Null if no classes.
+ * `previousWorkouts` covers the lookback before the range.
+ */
+function processClassType(workouts, typeName, previousWorkouts = [], options = {}) {
+  const settings = options.settings || DEFAULT_CLUB_SETTINGS;
+  const siteMap = options.siteMap || {};
+  const now = getZonedTime(options.timeZone || DEFAULT_TIMEZONE);
+  const isType = w => (w.workoutType?.name || 'Unknown') === typeName;
+
+  const totals = newClassTotals();
+  const byWeek = {};
+  const bySlot = {};
+  const byInstructor = {};
+  const members = new Set();
+  let color = null;
+  let cancelled = 0;
+
+  workouts.filter(isType).forEach(w => {
+    const status = getWorkoutStatus(w);
+    if (status === 'cancelled') cancelled++;
+    if (status !== 'ok') return;
+
+    const space = w.space || 0;
+    const booked = w.numBooked || 0;
+    const attendance = getAttendance(w, now);
+    const start = parseWallTime(w.startTime);
+    color = color || w.workoutType?.color || '#667eea';
+
+    addClassTotals(totals, booked, space, attendance);
+
+    const week = getCohortPeriod(start.date, 'week', settings.weekStart);
+    if (!byWeek[week]) byWeek[week] = newClassTotals();
+    addClassTotals(byWeek[week], booked, space, attendance);
+
+    const slotKey = getSlotKey(w, typeName, start.dayOfWeek);
+    if (!bySlot[slotKey]) {
+      const siteId = w.site_id || w.siteId || null;
+      bySlot[slotKey] = {
+        dayIndex: start.dayOfWeek,
+        time: start.time,
+        siteId,
+        siteName: siteId ? siteMap[siteId] || null : null,
+        staff: {},
+        history: [],
+        ...newClassTotals()
+      };
+    }
+    const slot = bySlot[slotKey];
+    addClassTotals(slot, booked, space, attendance);
+    slot.history.push({
+      date: start.date,
+      booked,
+      space,
+      queued: w.numQueue || 0,
+      attendanceRate: space > 0 ? (booked / space * 100).toFixed(1) : 0,
+      instructors: (w.staffs || []).map(getStaffName)
+    });
+
+    (w.staffs || []).forEach(staff => {
+      const id = getStaffId(staff);
+      if (!slot.staff[id]) slot.staff[id] = { id, name: getStaffName(staff), classes: 0 };
+      slot.staff[id].classes++;
+
+      if (!byInstructor[id]) byInstructor[id] = { id, name: getStaffName(staff), lastClass: w.startTime, ...newClassTotals() };
+      if (w.startTime > byInstructor[id].lastClass) {
+        byInstructor[id].name = getStaffName(staff);
+        byInstructor[id].lastClass = w.startTime;
+      }
+      addClassTotals(byInstructor[id], booked, space, attendance);
+    });
+
+    (Array.isArray(w.bookings) ? w.bookings : []).forEach(booking => {
+      const userId = getBookingUserId(booking);
+      if (userId && !booking.inQueue) members.add(userId);
+    });
+  });
+
+  if (totals.classes === 0) return null;
+
+  // Members who booked the type during the lookback
+  const known = new Set();
+  previousWorkouts.filter(w => isType(w) && getWorkoutStatus(w) === 'ok').forEach(w => {
+    (Array.isArray(w.bookings) ? w.bookings : []).forEach(booking => {
+      const userId = getBookingUserId(booking);
+      if (userId && !booking.inQueue) known.add(userId);
+    });
+  });
+  const newMembers = [...members].filter(userId => !known.has(userId)).length;
+
+  const dayOrder = getWeekDayOrder(settings.weekStart);
+  const slots = Object.values(bySlot)
+    .map(s => {
+      const usual = Object.values(s.staff).sort((a, b) => b.classes - a.classes)[0] || null;
+      return {
+        day: RECOMMENDATION_DAY_NAMES[s.dayIndex],
+        dayIndex: s.dayIndex,
+        time: s.time,
+        siteId: s.siteId,
+        siteName: s.siteName,
+        usualInstructor: usual,
+        ...summarizeClassTotals(s),
+        history: s.history.sort((a, b) => a.date.localeCompare(b.date))
+      };
+    })
+    .sort((a, b) => dayOrder.indexOf(a.dayIndex) - dayOrder.indexOf(b.dayIndex) || a.time.localeCompare(b.time));
+
+  return {
+    classType: { name: typeName, color },
+    summary: {
+      ...summarizeClassTotals(totals),
+      cancelled,
+      slots: slots.length
+    },
+    trend: Object.keys(byWeek).sort().map(week => ({ week, ...summarizeClassTotals(byWeek[week]) })),
+    slots,
+    instructors: Object.values(byInstructor)
+      .map(i => ({ id: i.id, name: i.name, ...summarizeClassTotals(i) }))
+      .sort((a, b) => parseFloat(b.attendanceRate) - parseFloat(a.attendanceRate) || b.classes - a.classes),
+    participants: {
+      unique: members.size,
+      new: newMembers,
+      newRate: members.size > 0 ? (newMembers / members.size * 100).toFixed(1) : 0,
+      lookbackDays: CLASS_TYPE_LOOKBACK_DAYS
+    }
+  };
+}
+
+/**
+ * Class type drill-down for a gym and date range, for the API (null if the
+ * type had no classes in the range)
+ */
+async function buildClassType(club, typeName, fromDate, toDate) {
+  const [current, previous, sites, settings] = await Promise.all([
+    loadWorkouts(club, fromDate, toDate),
+    loadWorkouts(club, shiftDate(fromDate, -CLASS_TYPE_LOOKBACK_DAYS), shiftDate(fromDate, -1)),
+    fetchZoeziCached(club, 'site/get/all').catch(() => []),
+    getClubSettings(club.Club_Zoezi_ID)
+  ]);
+
+  const siteMap = {};
+  (sites || []).forEach(s => {
+    if (s && s.id) siteMap[s.id] = s.name;
+  });
+
+  const timeZone = getClubTimeZone(club);
+  const result = processClassType(current.workouts, typeName, previous.workouts, { timeZone, settings, siteMap });
+  if (!result) return null;
+
+  result.club = { id: club.Club_Zoezi_ID, name: club.Club_name };
+  result.dateRange = { fromDate, toDate };
+  const missingRanges = [...current.missingRanges, ...previous.missingRanges];
+  if (missingRanges.length > 0) {
+    result.missingRanges = missingRanges;
+  }
+  return result;
+}
+
+// =============================================================================
+// EMAIL REPORTS
+// =============================================================================
+//
+// Schedules live in the Supabase `Report_Schedules` table and every attempt is
+// logged to `Report_Deliveries`. An hourly job sends each enabled schedule once
+// per period, after REPORT_SEND_HOUR: weekly reports cover the last full week
+// (from the club's week start), monthly reports the previous calendar month.
+// A failed period is retried with a doubling delay, up to REPORT_MAX_ATTEMPTS.
+
+const REPORT_FREQUENCIES = ['weekly', 'monthly'];
+const REPORT_MAX_ATTEMPTS = 5;
+const REPORT_RETRY_DELAY = 60 * 60 * 1000;        // Before the second attempt, doubled for each one after
+const REPORT_SECTIONS = ['summary', 'classes', 'instructors', 'waitlist', 'cancellations'];
+const REPORT_COMPARE_MODES = ['previous', 'lastYear'];
+
+let mailTransport = null;
+let reportJobRunning = false;
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Validate a report schedule from the admin API
+ * Returns { schedule } with normalised fields, or { error }
+ */
+function validateReportSchedule(body, existing = {}) {
+  const schedule = {
+    Club_Zoezi_ID: body.clubId ?? existing.Club_Zoezi_ID,
+    frequency: body.frequency ?? existing.frequency ?? 'weekly',
+    recipients: body.recipients ?? existing.recipients,
+    sections: body.sections ?? existing.sections ?? REPORT_SECTIONS,
+    compare: body.compare !== undefined ? body.compare : (existing.compare ?? 'previous'),
+    enabled: body.enabled ?? existing.enabled ?? true
+  };
+
+  if (!schedule.Club_Zoezi_ID) {
+    return { error: 'clubId is required' };
+  }
+  if (!REPORT_FREQUENCIES.includes(schedule.frequency)) {
+    return { error: `frequency must be one of: ${REPORT_FREQUENCIES.join(', ')}` };
+  }
+  if (!Array.isArray(schedule.recipients) || schedule.recipients.length === 0 ||
+      schedule.recipients.some(r => typeof r !== 'string' || !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(r))) {
+    return { error: 'recipients must be a list of email addresses' };
+  }
+  if (!Array.isArray(schedule.sections) || schedule.sections.some(section => !REPORT_SECTIONS.includes(section))) {
+    return { error: `sections must be a list of: ${REPORT_SECTIONS.join(', ')}` };
+  }
+  if (schedule.compare !== null && !REPORT_COMPARE_MODES.includes(schedule.compare)) {
+    return { error: `compare must be null or one of: ${REPORT_COMPARE_MODES.join(', ')}` };
+  }
+  schedule.enabled = !!schedule.enabled;
+  return { schedule };
+}
+
+/**
+ * The last completed period for a report frequency, by the date in the club's timezone
+ * Weeks start on the club's week start day.
+ */
+function getReportPeriod(frequency, now = new Date(), timeZone = DEFAULT_TIMEZONE, weekStart = DEFAULT_CLUB_SETTINGS.weekStart) {
+  const today = getZonedToday(timeZone, now);
+  if (frequency === 'monthly') {
+    const from = Date.newFull(today).firstDayThisMonth().addMonths(-1);
+    return { fromDate: from.yyyymmdd(), toDate: from.lastDayThisMonth().yyyymmdd() };
+  }
+
+  // Last full week, ending the day before this week started
+  const end = shiftDate(getCohortPeriod(today, 'week', weekStart), -1);
+  return { fromDate: shiftDate(end, -6), toDate: end };
+}
+
+/**
+ * Render the report email (HTML and plain text) from buildAnalyticsWithComparison output
+ */
+function renderReportEmail(analytics, sections) {
+  const { summary, club, dateRange, comparison } = analytics;
+  const cell = 'padding:8px 12px;border-bottom:1px solid #f3f4f6;';
+  const heading = text => `<h2 style="font-size:16px;color:#111827;margin:28px 0 8px;">${escapeHtml(text)}</h2>`;
+  const table = (headers, rows) => `
+    <table style="width:100%;border-collapse:collapse;font-size:14px;">
+      <tr>${headers.map((h, i) => `<th style="${cell}text-align:${i === 0 ? 'left' : 'right'};color:#6b7280;font-weight:600;">${escapeHtml(h)}</th>`).join('')}</tr>
+      ${rows.map(row => `<tr>${row.map((value, i) => `<td style="${cell}text-align:${i === 0 ? 'left' : 'right'};color:#111827;">${value}</td>`).join('')}</tr>`).join('')}
+    </table>`;
+
+  // "+2.1 pp" for rates, "+12%" for counts, coloured by whether the change is good
+  const delta = (key, invert = false) => {
+    const d = comparison?.summary?.[key];
+    if (!d) return '';
+    const isRate = d.changePercent === undefined;
+    const value = isRate ? d.change : d.changePercent;
+    if (value === null || value === 0) return '<span style="color:#9ca3af;">±0</span>';
+    const good = invert ? value < 0 : value > 0;
+    return `<span style="color:${good ? '#059669' : '#dc2626'};">${value > 0 ? '+' : ''}${value}${isRate ? ' pp' : '%'}</span>`;
+  };
+
+  const text = [`${club.name} - group training report`, `${dateRange.fromDate} to ${dateRange.toDate}`, ''];
+  let body = '';
+
+  if (sections.includes('summary')) {
+    const rows = [
+      ['Fill rate', `${summary.overallAttendanceRate}%`, 'overallAttendanceRate'],
+      ['Classes', summary.totalClasses, 'totalClasses'],
+      ['Bookings', summary.totalBooked, 'totalBooked'],
+      ['Empty classes', `${summary.emptyRate}%`, 'emptyRate', true],
+      ['Unique participants', summary.uniqueParticipants, 'uniqueParticipants']
+    ];
+    if (summary.trackedClasses > 0) rows.push(['Show-up rate', `${summary.showUpRate}%`, 'showUpRate']);
+    if (summary.totalQueued > 0) rows.push(['Turned away (queue)', `${summary.turnedAwayRate}%`, 'turnedAwayRate', true]);
+
+    body += heading('Key figures');
+    body += table(comparison ? ['', 'This period', 'Change'] : ['', 'This period'],
+      rows.map(([label, value, key, invert]) => comparison ? [escapeHtml(label), value, delta(key, invert)] : [escapeHtml(label), value]));
+    text.push('KEY FIGURES', ...rows.map(([label, value]) => `${label}: ${value}`), '');
+  }
+
+  if (sections.includes('classes') && analytics.byType.length > 0) {
+    const ranked = [...analytics.byType].sort((a, b) => parseFloat(b.attendanceRate) - parseFloat(a.attendanceRate));
+    const top = ranked.slice(0, 5);
+    const bottom = ranked.slice(Math.max(5, ranked.length - 5)).reverse();
+    const classRow = t => [escapeHtml(t.name), t.classes, `${t.attendanceRate}%`];
+
+    body += heading('Best filled classes');
+    body += table(['Class', 'Sessions', 'Fill rate'], top.map(classRow));
+    text.push('BEST FILLED CLASSES', ...top.map(t => `${t.name}: ${t.attendanceRate}% (${t.classes} sessions)`), '');
+    if (bottom.length > 0) {
+      body += heading('Lowest filled classes');
+      body += table(['Class', 'Sessions', 'Fill rate'], bottom.map(classRow));
+      text.push('LOWEST FILLED CLASSES', ...bottom.map(t => `${t.name}: ${t.attendanceRate}% (${t.classes} sessions)`), '');
+    }
+  }
+
+  if (sections.includes('instructors') && analytics.byInstructor.length > 0) {
+    const instructors = analytics.byInstructor.slice(0, 5);
+    body += heading('Instructors');
+    body += table(['Instructor', 'Classes', 'Fill rate'], instructors.map(i => [escapeHtml(i.name), i.classes, `${i.attendanceRate}%`]));
+    text.push('INSTRUCTORS', ...instructors.map(i => `${i.name}: ${i.attendanceRate}% (${i.classes} classes)`), '');
+  }
+
+  if (sections.includes('waitlist') && analytics.overflowSlots.length > 0) {
+    const slots = analytics.overflowSlots.slice(0, 5);
+    body += heading('Slots that regularly overflow');
+    body += table(['Class', 'Slot', 'Avg queue'], slots.map(slot => [escapeHtml(slot.typeName), `${slot.day.slice(0, 3)} ${slot.time}`, slot.avgQueue]));
+    text.push('SLOTS THAT REGULARLY OVERFLOW', ...slots.map(slot => `${slot.typeName} ${slot.day.slice(0, 3)} ${slot.time}: avg queue ${slot.avgQueue}`), '');
+  }
+
+  if (sections.includes('cancellations') && analytics.cancellations.cancelled > 0) {
+    const { cancelled, scheduled, cancellationRate } = analytics.cancellations;
+    body += heading('Cancellations');
+    body += `<p style="font-size:14px;color:#111827;">${cancelled} of ${scheduled} classes cancelled (${cancellationRate}%).</p>`;
+    text.push('CANCELLATIONS', `${cancelled} of ${scheduled} classes cancelled (${cancellationRate}%)`, '');
+  }
+
+  const comparisonNote = comparison
+    ? `Compared with ${comparison.dateRange.fromDate} to ${comparison.dateRange.toDate}.`
+    : '';
+
+  const html = `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#f9fafb;font-family:Arial,Helvetica,sans-serif;">
+  <div style="max-width:600px;margin:0 auto;background:#ffffff;border-radius:12px;overflow:hidden;">
+    <div style="background:#AFACFB;padding:24px;color:#ffffff;">
+      <p style="margin:0;font-size:13px;opacity:0.9;">Group Training Analytics</p>
+      <h1 style="margin:4px 0 0;font-size:22px;">${escapeHtml(club.name)}</h1>
+      <p style="margin:4px 0 0;font-size:14px;">${dateRange.fromDate} to ${dateRange.toDate}</p>
+    </div>
+    <div style="padding:8px 24px 24px;">
+      ${body}
+      <p style="margin-top:28px;font-size:12px;color:#9ca3af;">${comparisonNote} Sent by StrongSales Analytics.</p>
+    </div>
+  </div>
+</body>
+</html>`;
+
+  return {
+    subject: `${club.name}: group training report ${dateRange.fromDate} to ${dateRange.toDate}`,
+    html,
+    text: [...text, comparisonNote].join('\n').trim()
+  };
+}
+
+/**
+ * Send an email over SMTP, or write it to REPORT_DRY_RUN_DIR in dry-run mode
+ * Returns { status: 'sent', messageId } or { status: 'dry-run', file }
+ */
+async function sendReportEmail(message, fileStem) {
+  if (REPORT_DRY_RUN_DIR) {
+    await fs.promises.mkdir(REPORT_DRY_RUN_DIR, { recursive: true });
+    const file = path.join(REPORT_DRY_RUN_DIR, `${fileStem}.html`);
+    const header = `<!-- To: ${message.to.join(', ')} | Subject: ${message.subject} -->\n`;
+    await fs.promises.writeFile(file, header + message.html);
+    return { status: 'dry-run', file };
+  }
+
+  if (!SMTP_HOST) {
+    throw new Error('SMTP_HOST not configured');
+  }
+  if (!mailTransport) {
+    mailTransport = nodemailer.createTransport({
+      host: SMTP_HOST,
+      port: SMTP_PORT,
+      secure: SMTP_PORT === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+
+  const info = await mailTransport.sendMail({ from: SMTP_FROM, ...message });
+  return { status: 'sent', messageId: info.messageId };
+}
+
+/**
+ * Build, render and deliver one report, and log the attempt to Report_Deliveries
+ * Scheduled runs pass their attempt number; a failed final attempt is logged
+ * as 'abandoned' rather than 'failed'.
+ */
+async function runReport(schedule, period, { attempt = null, final = false } = {}) {
+  const supabase = getSupabase();
+  const delivery = {
+    schedule_id: schedule.id,
+    Club_Zoezi_ID: schedule.Club_Zoezi_ID,
+    from_date: period.fromDate,
+    to_date: period.toDate,
+    recipients: schedule.recipients,
+    attempt
+  };
+
+  try {
+    const club = await getClub(schedule.Club_Zoezi_ID);
+    if (!club) throw new Error('Club not found');
+
+    const analytics = await buildAnalyticsWithComparison(club, {
+      fromDate: period.fromDate,
+      toDate: period.toDate,
+      compare: schedule.compare || undefined
+    });
+    const message = renderReportEmail(analytics, schedule.sections || REPORT_SECTIONS);
+    const safeClubId = String(club.Club_Zoezi_ID).replace(/[^a-zA-Z0-9_-]/g, '_');
+    const result = await sendReportEmail(
+      { to: schedule.recipients, ...message },
+      `${safeClubId}.${period.fromDate}.${schedule.id}.${Date.now()}`
+    );
+
+    Object.assign(delivery, { status: result.status, message_id: result.messageId || null, file: result.file || null });
+  } catch (error) {
+    console.error(`Report ${schedule.id} failed${final ? ` after ${attempt} attempts, giving up on ${period.toDate}` : ''}:`, error.message);
+    Object.assign(delivery, { status: final ? 'abandoned' : 'failed', error: error.message });
+  }
+
+  const { data, error } = await supabase
+    .from('Report_Deliveries')
+    .insert(delivery)
+    .select()
+    .single();
+
+  if (error) console.error('Error logging report delivery:', error.message);
+  return data || delivery;
+}
+
+/**
+ * The next scheduled attempt at a period, given its failed attempts newest first
+ * Returns { attempt, final }, or null while the retry delay hasn't passed.
+ */
+function getNextReportAttempt(failures, now = new Date()) {
+  if (failures.length > 0) {
+    const retryAt = new Date(failures[0].created_at).getTime() + REPORT_RETRY_DELAY * 2 ** (failures.length - 1);
+    if (now.getTime() < retryAt) return null;
+  }
+  const attempt = failures.length + 1;
+  return { attempt, final: attempt >= REPORT_MAX_ATTEMPTS };
+}
+
+/**
+ * Send every enabled schedule whose latest period hasn't been delivered yet
+ * Failed deliveries are retried with backoff; after REPORT_MAX_ATTEMPTS the
+ * period is given up on and the schedule moves on to the next one.
+ */
+async function runDueReports(now = new Date()) {
+  if (reportJobRunning) return;
+  reportJobRunning = true;
+
+  try {
+    const supabase = getSupabase();
+    const [{ data: schedules, error }, { data: clubs, error: clubsError }, { data: settingsRows, error: settingsError }] = await Promise.all([
+      supabase.from('Report_Schedules').select('*').eq('enabled', true),
+      supabase.from('Clubs').select('*'),
+      supabase.from('Club_Settings').select('*')
+    ]);
+
+    if (error) throw error;
+    if (clubsError) throw clubsError;
+    if (settingsError) throw settingsError;
+
+    const timeZones = {};
+    (clubs || []).forEach(club => { timeZones[club.Club_Zoezi_ID] = getClubTimeZone(club); });
+    const weekStarts = {};
+    (settingsRows || []).forEach(row => { weekStarts[row.Club_Zoezi_ID] = toClubSettings(row).weekStart; });
+
+    for (const schedule of schedules || []) {
+      // REPORT_SEND_HOUR is the club's local time
+      const timeZone = timeZones[schedule.Club_Zoezi_ID] || DEFAULT_TIMEZONE;
+      if (parseWallTime(getZonedTime(timeZone, now)).hour < REPORT_SEND_HOUR) continue;
+
+      const period = getReportPeriod(schedule.frequency, now, timeZone, weekStarts[schedule.Club_Zoezi_ID]);
+      if (schedule.last_period_to && schedule.last_period_to >= period.toDate) continue;
+
+      // Earlier scheduled attempts at this period - manual sends have no attempt number
+      const { data: failures, error: failuresError } = await supabase
+        .from('Report_Deliveries')
+        .select('created_at')
+        .eq('schedule_id', schedule.id)
+        .eq('to_date', period.toDate)
+        .eq('status', 'failed')
+        .not('attempt', 'is', null)
+        .order('created_at', { ascending: false });
+
+      if (failuresError) throw failuresError;
+
+      const next = getNextReportAttempt(failures || [], now);
+      if (!next) continue;
+
+      const delivery = await runReport(schedule, period, next);
+      if (delivery.status !== 'failed') {
+        await supabase
+          .from('Report_Schedules')
+          .update({ last_period_to: period.toDate })
+          .eq('id', schedule.id);
+      }
+    }
+  } catch (error) {
+    console.error('Report job failed:', error.message);
+  } finally {
+    reportJobRunning = false;
+  }
+}
+
+// =============================================================================
+// PDF REPORTS
+// =============================================================================
+
+const PDF_COLORS = {
+  brand: '#AFACFB',
+  brandDark: '#7c3aed',
+  text: '#111827',
+  muted: '#6b7280',
+  border: '#e5e7eb',
+  good: '#059669',
+  bad: '#dc2626'
+};
+const PDF_LOGO = path.join(__dirname, 'public', 'Strongsales logo black & purple Transparent.png');
+
+/**
+ * Start a new page if less than `height` is left on the current one
+ */
+function ensurePdfSpace(doc, height) {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+}
+
+function drawPdfHeading(doc, text) {
+  ensurePdfSpace(doc, 60);
+  doc.moveDown(0.5);
+  doc.font('Helvetica-Bold').fontSize(14).fillColor(PDF_COLORS.text).text(text, doc.page.margins.left);
+  doc.moveDown(0.4);
+}
+
+/**
+ * Vertical bar chart with value labels. Bars: [{ label, value }] (values in %)
+ */
+function drawPdfBarChart(doc, bars, { height = 130 } = {}) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  ensurePdfSpace(doc, height + 30);
+
+  const top = doc.y;
+  const max = Math.max(100, ...bars.map(b => b.value));
+  const slot = width / Math.max(bars.length, 1);
+  const barWidth = Math.min(slot * 0.6, 40);
+
+  doc.lineWidth(0.5).strokeColor(PDF_COLORS.border)
+    .moveTo(left, top + height).lineTo(left + width, top + height).stroke();
+
+  bars.forEach((bar, i) => {
+    const barHeight = max > 0 ? bar.value / max * height : 0;
+    const x = left + i * slot + (slot - barWidth) / 2;
+    doc.rect(x, top + height - barHeight, barWidth, barHeight).fill(PDF_COLORS.brand);
+    doc.font('Helvetica').fontSize(7).fillColor(PDF_COLORS.text)
+      .text(`${Math.round(bar.value)}%`, x - 10, top + height - barHeight - 10, { width: barWidth + 20, align: 'center' });
+    doc.fillColor(PDF_COLORS.muted)
+      .text(bar.label, left + i * slot, top + height + 4, { width: slot, align: 'center' });
+  });
+
+  doc.x = left;
+  doc.y = top + height + 20;
+}
+
+/**
+ * Line chart of a daily series. Points: [{ label, value }] (values in %)
+ */
+function drawPdfLineChart(doc, points, { height = 160 } = {}) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  ensurePdfSpace(doc, height + 30);
+
+  const top = doc.y;
+  const max = Math.max(100, ...points.map(p => p.value));
+  const step = points.length > 1 ? width / (points.length - 1) : 0;
+  const pointY = value => top + height - value / max * height;
+
+  // Gridlines at 0, 25, 50, 75 and 100%
+  doc.font('Helvetica').fontSize(7);
+  [0, 25, 50, 75, 100].forEach(pct => {
+    const y = pointY(pct);
+    doc.lineWidth(0.5).strokeColor(PDF_COLORS.border).moveTo(left, y).lineTo(left + width, y).stroke();
+    doc.fillColor(PDF_COLORS.muted).text(`${pct}%`, left - 28, y - 3, { width: 24, align: 'right' });
+  });
+
+  if (points.length > 0) {
+    doc.lineWidth(1.5).strokeColor(PDF_COLORS.brandDark).moveTo(left, pointY(points[0].value));
+    points.slice(1).forEach((p, i) => doc.lineTo(left + (i + 1) * step, pointY(p.value)));
+    doc.stroke();
+
+    // About six date labels along the axis
+    const every = Math.max(1, Math.ceil(points.length / 6));
+    points.forEach((p, i) => {
+      if (i % every !== 0 && i !== points.length - 1) return;
+      doc.fillColor(PDF_COLORS.muted).text(p.label, left + i * step - 25, top + height + 4, { width: 50, align: 'center' });
+    });
+  }
+
+  doc.x = left;
+  doc.y = top + height + 20;
+}
+
+/**
+ * Table with a header row, repeated after page breaks
+ * Columns: [{ header, width (share of the page width), align }]
+ */
+function drawPdfTable(doc, columns, rows) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const rowHeight = 18;
+
+  const drawRow = (cells, bold) => {
+    ensurePdfSpace(doc, rowHeight);
+    const y = doc.y;
+    let x = left;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8.5);
+    cells.forEach((cell, i) => {
+      const colWidth = columns[i].width * width;
+      doc.fillColor(bold ? PDF_COLORS.muted : PDF_COLORS.text)
+        .text(String(cell), x + 4, y + 5, { width: colWidth - 8, height: rowHeight - 6, align: columns[i].align || 'left', lineBreak: false, ellipsis: true });
+      x += colWidth;
+    });
+    doc.lineWidth(0.5).strokeColor(PDF_COLORS.border)
+      .moveTo(left, y + rowHeight).lineTo(left + width, y + rowHeight).stroke();
+    doc.x = left;
+    doc.y = y + rowHeight;
+  };
+
+  drawRow(columns.map(c => c.header), true);
+  rows.forEach(row => {
+    if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      drawRow(columns.map(c => c.header), true);
+    }
+    drawRow(row, false);
+  });
+}
+
+/**
+ * Render buildAnalyticsWithComparison output as a branded multi-page PDF
+ * Returns the PDFKit document - pipe it to the response, it's ended already.
+ */
+function renderAnalyticsPdf(analytics) {
+  const { summary, club, dateRange, comparison } = analytics;
+  // Embed tokens can leave sections out (see applyEmbedSections)
+  const shows = section => canEmbedSection(analytics, section);
+  const doc = new PDFDocument({ size: 'A4', margin: 50, bufferPages: true, info: { Title: `${club.name} - Group Training Report` } });
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+
+  // Header band
+  doc.rect(0, 0, doc.page.width, 110).fill(PDF_COLORS.brand);
+  if (fs.existsSync(PDF_LOGO)) {
+    doc.image(PDF_LOGO, left, 24, { height: 22 });
+  }
+  doc.font('Helvetica-Bold').fontSize(22).fillColor('#ffffff').text(club.name, left, 56, { width });
+  doc.font('Helvetica').fontSize(11).text(`Group training report · ${dateRange.fromDate} to ${dateRange.toDate}`, left, 84, { width });
+  doc.y = 135;
+
+  // KPI boxes, three per row
+  const delta = (key, invert = false) => {
+    const d = comparison?.summary?.[key];
+    if (!d) return null;
+    const isRate = d.changePercent === undefined;
+    const value = isRate ? d.change : d.changePercent;
+    if (value === null) return null;
+    return { text: `${value > 0 ? '+' : ''}${value}${isRate ? ' pp' : '%'}`, good: invert ? value <= 0 : value >= 0 };
+  };
+  const kpis = [
+    ['Fill Rate', `${summary.overallAttendanceRate}%`, `${summary.totalBooked} / ${summary.totalCapacity} spots`, delta('overallAttendanceRate')],
+    ['Classes', summary.totalClasses, shows('classTypes') ? `${analytics.byType.length} class types` : 'in the period', delta('totalClasses')],
+    ['Bookings', summary.totalBooked, `${summary.avgPerClass} avg per class`, delta('totalBooked')],
+    ['Fully Booked', summary.fullyBookedClasses, `${summary.fullyBookedRate}% of classes`, delta('fullyBookedRate')],
+    ['Empty Classes', summary.emptyClasses, `${summary.emptyRate}% of classes`, delta('emptyRate', true)],
+    ['Unique Participants', summary.uniqueParticipants, 'distinct members', delta('uniqueParticipants')]
+  ];
+  if (summary.trackedClasses > 0) {
+    kpis.push(['Show-up Rate', `${summary.showUpRate}%`, `${summary.totalNoShows} no-shows`, delta('showUpRate')]);
+  }
+  if (summary.totalQueued > 0) {
+    kpis.push(['Turned Away', `${summary.turnedAwayRate}%`, `${summary.totalQueued} in queue`, delta('turnedAwayRate', true)]);
+  }
+
+  const boxWidth = (width - 20) / 3;
+  const boxHeight = 70;
+  const kpiTop = doc.y;
+  kpis.forEach(([label, value, sub, change], i) => {
+    const x = left + (i % 3) * (boxWidth + 10);
+    const y = kpiTop + Math.floor(i / 3) * (boxHeight + 10);
+    doc.roundedRect(x, y, boxWidth, boxHeight, 6).lineWidth(0.5).strokeColor(PDF_COLORS.border).stroke();
+    doc.font('Helvetica').fontSize(8.5).fillColor(PDF_COLORS.muted).text(label, x + 10, y + 9, { width: boxWidth - 20 });
+    doc.font('Helvetica-Bold').fontSize(18).fillColor(PDF_COLORS.text).text(String(value), x + 10, y + 22, { width: boxWidth - 20 });
+    doc.font('Helvetica').fontSize(8).fillColor(PDF_COLORS.muted).text(sub, x + 10, y + 46, { width: boxWidth - 20 });
+    if (change) {
+      doc.fillColor(change.good ? PDF_COLORS.good : PDF_COLORS.bad).text(change.text, x + 10, y + 46, { width: boxWidth - 20, align: 'right' });
+    }
+  });
+  doc.x = left;
+  doc.y = kpiTop + Math.ceil(kpis.length / 3) * (boxHeight + 10);
+
+  if (comparison) {
+    doc.font('Helvetica').fontSize(8).fillColor(PDF_COLORS.muted)
+      .text(`Changes compared with ${comparison.dateRange.fromDate} to ${comparison.dateRange.toDate}.`, left);
+  }
+
+  if (shows('trend')) {
+    drawPdfHeading(doc, 'Fill Rate Over Time');
+    drawPdfLineChart(doc, analytics.dailyTrend.map(d => ({ label: d.date.slice(5), value: parseFloat(d.attendanceRate) || 0 })));
+  }
+
+  // The charts and tables start on a new page after the trend, or follow the KPIs without it
+  const showInstructors = shows('instructors') && analytics.byInstructor.length > 0;
+  if (shows('trend') && (['weekdays', 'hours', 'classTypes'].some(shows) || showInstructors)) {
+    doc.addPage();
+  }
+  if (shows('weekdays')) {
+    drawPdfHeading(doc, 'Fill Rate by Weekday');
+    drawPdfBarChart(doc, analytics.byDay.map(d => ({ label: d.day.slice(0, 3), value: parseFloat(d.attendanceRate) || 0 })));
+  }
+
+  if (shows('hours')) {
+    drawPdfHeading(doc, 'Fill Rate by Hour');
+    drawPdfBarChart(doc, analytics.byHour
+      .filter(h => h.classes > 0)
+      .map(h => ({ label: h.label, value: parseFloat(h.attendanceRate) || 0 })));
+  }
+
+  const showUp = summary.trackedClasses > 0;
+  if (shows('classTypes')) {
+    drawPdfHeading(doc, 'Class Performance Ranking');
+    drawPdfTable(doc, [
+      { header: '#', width: 0.06 },
+      { header: 'Class Type', width: showUp ? 0.34 : 0.44 },
+      { header: 'Classes', width: 0.1, align: 'right' },
+      { header: 'Bookings', width: 0.12, align: 'right' },
+      { header: 'Avg', width: 0.1, align: 'right' },
+      { header: 'Fill Rate', width: 0.14, align: 'right' },
+      ...(showUp ? [{ header: 'Show-up', width: 0.14, align: 'right' }] : [])
+    ], analytics.byType.map((t, i) => [
+      i + 1, t.name, t.classes, t.totalBooked, t.avgAttendance, `${t.attendanceRate}%`,
+      ...(showUp ? [t.showUpRate !== null ? `${t.showUpRate}%` : '-'] : [])
+    ]));
+  }
+
+  if (showInstructors) {
+    drawPdfHeading(doc, 'Instructor Performance');
+    drawPdfTable(doc, [
+      { header: 'Instructor', width: showUp ? 0.4 : 0.5 },
+      { header: 'Classes', width: 0.12, align: 'right' },
+      { header: 'Bookings', width: 0.12, align: 'right' },
+      { header: 'Avg', width: 0.12, align: 'right' },
+      { header: 'Fill Rate', width: 0.14, align: 'right' },
+      ...(showUp ? [{ header: 'Show-up', width: 0.1, align: 'right' }] : [])
+    ], analytics.byInstructor.map(i => [
+      i.name, i.classes, i.totalBooked, i.avgAttendance, `${i.attendanceRate}%`,
+      ...(showUp ? [i.showUpRate !== null ? `${i.showUpRate}%` : '-'] : [])
+    ]));
+  }
+
+  // Footer on every page
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    const bottom = doc.page.height - 35;
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).fillColor(PDF_COLORS.muted)
+      .text(`${club.name} · ${dateRange.fromDate} to ${dateRange.toDate}`, left, bottom, { width, lineBreak: false })
+      .text(`Page ${i - range.start + 1} of ${range.count}`, left, bottom, { width, align: 'right', lineBreak: false });
+  }
+
+  doc.end();
+  return doc;
+}
+
+/**
+ * Stream an analytics PDF as a download
+ */
+function sendAnalyticsPdf(res, analytics) {
+  const safeName = String(analytics.club.name).replace(/[^a-zA-Z0-9_-]+/g, '-');
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="report-${safeName}-${analytics.dateRange.fromDate}-${analytics.dateRange.toDate}.pdf"`);
+  renderAnalyticsPdf(analytics).pipe(res);
+}
+
+// =============================================================================
+// DATA EXPORT
+// =============================================================================
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+// Each scope includes the one before it: summary < classes < workouts
+const EXPORT_SCOPES = ['summary', 'classes', 'workouts'];
+
+/**
+ * Rates and averages are strings from toFixed() - export them as numbers
+ */
+function exportNumber(value) {
+  return value === null || value === undefined || value === '' ? null : parseFloat(value);
+}
+
+/**
+ * Table definitions per export section: [header, value getter]
+ */
+const EXPORT_TABLES = {
+  byType: [
+    ['Class Type', t => t.name],
+    ['Classes', t => t.classes],
+    ['Bookings', t => t.totalBooked],
+    ['Capacity', t => t.totalCapacity],
+    ['Avg per Class', t => exportNumber(t.avgAttendance)],
+    ['Fill Rate %', t => exportNumber(t.attendanceRate)],
+    ['Unique Participants', t => t.uniqueParticipants],
+    ['Show-up Rate %', t => exportNumber(t.showUpRate)],
+    ['No-shows', t => t.noShows]
+  ],
+  byDay: [
+    ['Weekday', d => d.day],
+    ['Classes', d => d.classes],
+    ['Avg per Class', d => exportNumber(d.avgAttendance)],
+    ['Fill Rate %', d => exportNumber(d.attendanceRate)],
+    ['Queued', d => d.totalQueued],
+    ['Show-up Rate %', d => exportNumber(d.showUpRate)],
+    ['No-shows', d => d.noShows]
+  ],
+  byHour: [
+    ['Hour', h => h.label],
+    ['Classes', h => h.classes],
+    ['Avg per Class', h => exportNumber(h.avgAttendance)],
+    ['Fill Rate %', h => exportNumber(h.attendanceRate)],
+    ['Queued', h => h.totalQueued],
+    ['Show-up Rate %', h => exportNumber(h.showUpRate)],
+    ['No-shows', h => h.noShows]
+  ],
+  byInstructor: [
+    ['Instructor', i => i.name],
+    ['Staff ID', i => i.id],
+    ['Classes', i => i.classes],
+    ['Bookings', i => i.totalBooked],
+    ['Capacity', i => i.totalCapacity],
+    ['Avg per Class', i => exportNumber(i.avgAttendance)],
+    ['Fill Rate %', i => exportNumber(i.attendanceRate)],
+    ['Show-up Rate %', i => exportNumber(i.showUpRate)],
+    ['No-shows', i => i.noShows]
+  ],
+  dailyTrend: [
+    ['Date', d => d.date],
+    ['Classes', d => d.classes],
+    ['Bookings', d => d.totalBooked],
+    ['Capacity', d => d.totalCapacity],
+    ['Fill Rate %', d => exportNumber(d.attendanceRate)]
+  ],
+  workouts: [
+    ['Workout ID', w => w.id],
+    ['Date', w => String(w.startTime || '').slice(0, 10)],
+    ['Time', w => String(w.startTime || '').slice(11, 16)],
+    ['Class Type', w => w.typeName],
+    ['Instructors', w => w.staffs.map(st => st.name).join(', ')],
+    ['Facility', w => w.siteName],
+    ['Status', w => w.status],
+    ['Capacity', w => w.space],
+    ['Booked', w => w.numBooked],
+    ['Queued', w => w.numQueue],
+    ['Fill Rate %', w => w.space > 0 ? parseFloat((w.numBooked / w.space * 100).toFixed(1)) : null],
+    ['Attendance Registered', w => w.attendanceTracked ? 'yes' : 'no'],
+    ['Attended', w => w.attendanceTracked ? w.attended : null],
+    ['No-shows', w => w.attendanceTracked ? w.noShows.length : null]
+  ]
+};
+
+// Dashboard section of each table - embed tokens can leave them out
+const EXPORT_TABLE_SECTIONS = {
+  byType: 'classTypes',
+  byDay: 'weekdays',
+  byHour: 'hours',
+  byInstructor: 'instructors',
+  dailyTrend: 'trend'
+};
+
+const EXPORT_SUMMARY_ROWS = [
+  ['Total Classes', 'totalClasses'],
+  ['Total Bookings', 'totalBooked'],
+  ['Total Capacity', 'totalCapacity'],
+  ['Fill Rate %', 'overallAttendanceRate'],
+  ['Avg per Class', 'avgPerClass'],
+  ['Fully Booked Classes', 'fullyBookedClasses'],
+  ['Empty Classes', 'emptyClasses'],
+  ['Unique Participants', 'uniqueParticipants'],
+  ['Queued', 'totalQueued'],
+  ['Turned Away %', 'turnedAwayRate'],
+  ['Show-up Rate %', 'showUpRate'],
+  ['No-shows', 'totalNoShows']
+];
+
+/**
+ * File header lines: gym, period and every filter that shaped the numbers
+ */
+function getExportHeader(analytics) {
+  const filters = analytics.filters || {};
+  return [
+    ['Gym', analytics.club.name],
+    ['Period', `${analytics.dateRange.fromDate} to ${analytics.dateRange.toDate}`],
+    ['Class types', filters.classTypes ? filters.classTypes.join(', ') : 'All'],
+    ['Instructor', filters.instructor ? filters.instructorName || filters.instructor : 'All'],
+    ['Facility', filters.siteId ? filters.siteName || filters.siteId : 'All'],
+    ['Cancelled classes', analytics.includeCancelled ? 'Included' : 'Excluded'],
+    ['Timezone', analytics.timeZone],
+    ['Exported', getZonedTime(analytics.timeZone || DEFAULT_TIMEZONE)]
+  ];
+}
+
+/**
+ * The sections of an export scope: [{ name, headers, rows }], without the
+ * tables an embed token leaves out
+ */
+function getExportSections(analytics, scope) {
+  const sections = [{
+    name: 'summary',
+    headers: ['Metric', 'Value'],
+    rows: EXPORT_SUMMARY_ROWS.map(([label, key]) => [label, exportNumber(analytics.summary[key])])
+  }];
+
+  const table = (name, items) => ({
+    name,
+    headers: EXPORT_TABLES[name].map(([header]) => header),
+    rows: items.map(item => EXPORT_TABLES[name].map(([, get]) => {
+      const value = get(item);
+      return value === undefined || Number.isNaN(value) ? null : value;
+    }))
+  });
+
+  if (scope !== 'summary') {
+    sections.push(
+      table('byType', analytics.byType),
+      table('byDay', analytics.byDay),
+      table('byHour', analytics.byHour.filter(h => h.classes > 0)),
+      table('byInstructor', analytics.byInstructor),
+      table('dailyTrend', analytics.dailyTrend)
+    );
+  }
+  if (scope === 'workouts') {
+    const included = analytics.includeCancelled ? analytics.rawWorkouts : analytics.rawWorkouts.filter(w => w.status === 'ok');
+    sections.push(table('workouts', [...included].sort((a, b) => String(a.startTime).localeCompare(String(b.startTime)))));
+  }
+  return sections.filter(section => !EXPORT_TABLE_SECTIONS[section.name] || canEmbedSection(analytics, EXPORT_TABLE_SECTIONS[section.name]));
+}
+
+/**
+ * One CSV cell, quoted if needed. Text that a spreadsheet would run as a
+ * formula (a class or member name starting with =, +, - or @) gets a leading '.
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function renderExportCsv(header, sections) {
+  const lines = ['Group Training Analytics Export'];
+  header.forEach(row => lines.push(row.map(csvCell).join(',')));
+  sections.forEach(section => {
+    lines.push('', section.name);
+    lines.push(section.headers.map(csvCell).join(','));
+    section.rows.forEach(row => lines.push(row.map(csvCell).join(',')));
+  });
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * One sheet per section, each starting with the file header
+ */
+async function renderExportXlsx(header, sections) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'StrongSales Group Training Analytics';
+  workbook.created = new Date();
+
+  sections.forEach(section => {
+    const sheet = workbook.addWorksheet(section.name);
+    header.forEach(row => sheet.addRow(row));
+    sheet.addRow([]);
+
+    const headerRow = sheet.addRow(section.headers);
+    headerRow.font = { bold: true };
+    headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFEDE9FE' } };
+    section.rows.forEach(row => sheet.addRow(row));
+
+    section.headers.forEach((h, i) => {
+      sheet.getColumn(i + 1).width = i === 0 ? 24 : Math.max(12, h.length + 2);
+    });
+  });
+
+  return workbook.xlsx.writeBuffer();
+}
+
+/**
+ * Send analytics as a CSV, XLSX or JSON download
+ */
+async function sendAnalyticsExport(res, analytics, format, scope) {
+  const header = getExportHeader(analytics);
+  const sections = getExportSections(analytics, scope);
+  const safeName = String(analytics.club.name).replace(/[^a-zA-Z0-9_-]+/g, '-');
+  const fileName = `analytics-${safeName}-${scope}-${analytics.dateRange.fromDate}-${analytics.dateRange.toDate}.${format}`;
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+  if (format === 'json') {
+    const body = { header: Object.fromEntries(header) };
+    sections.forEach(section => {
+      body[section.name] = section.rows.map(row => Object.fromEntries(section.headers.map((h, i) => [h, row[i]])));
+    });
+    return res.json(body);
+  }
+
+  if (format === 'xlsx') {
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    return res.send(Buffer.from(await renderExportXlsx(header, sections)));
+  }
+
+  // UTF-8 BOM so Excel opens Swedish characters correctly
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.send('\ufeff' + renderExportCsv(header, sections));
+}
+
+/**
+ * Validate format/scope query parameters (null if fine, else an error message)
+ */
+function validateExportQuery(query) {
+  if (!query.fromDate || !query.toDate) return 'fromDate and toDate are required';
+  if (query.format && !EXPORT_FORMATS.includes(query.format)) return `format must be one of: ${EXPORT_FORMATS.join(', ')}`;
+  if (query.scope && !EXPORT_SCOPES.includes(query.scope)) return `scope must be one of: ${EXPORT_SCOPES.join(', ')}`;
+  return null;
+}
+
+// =============================================================================
+// USER ACCOUNTS
+// =============================================================================
+// Dashboard users live in the Supabase `Dashboard_Users` table. Passwords are
+// scrypt hashes; invite and reset links carry a random token of which only the
+// SHA-256 hash is stored. Super-admins see every club, everyone else only the
+// clubs in their club_ids list. Account emails go to a local outbox directory.
+
+const USER_ROLES = ['super-admin', 'account-manager', 'read-only'];
+const MEMBER_DATA_ROLES = ['super-admin', 'account-manager'];   // May see member names and ids, and export
+const PASSWORD_MIN_LENGTH = 10;
+const INVITE_TTL = 7 * 24 * 60 * 60 * 1000;
+const PASSWORD_RESET_TTL = 60 * 60 * 1000;
+const USER_CACHE_TTL = 60 * 1000;             // How long a session's user row is reused
+
+// Calling with X-Admin-Key
+const ADMIN_SESSION_USER = { id: null, email: null, name: 'Admin', role: 'super-admin', clubIds: [] };
+
+// Dashboard_Users rows by id, so sessions don't hit Supabase on every request
+const dashboardUserCache = new Map();
+
+/**
+ * Hash a password as "scrypt$salt$hash" (base64)
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 64, (err, hash) => {
+      if (err) return reject(err);
+      resolve(`scrypt$${salt.toString('base64')}$${hash.toString('base64')}`);
+    });
+  });
+}
+
+/**
+ * Check a password against a hash from hashPassword (timing-safe)
+ */
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return Promise.resolve(false);
+  const expected = Buffer.from(hash, 'base64');
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(String(password || ''), Buffer.from(salt, 'base64'), expected.length, (err, actual) => {
+      if (err) return reject(err);
+      resolve(crypto.timingSafeEqual(actual, expected));
+    });
+  });
+}
+
+function hashAccountToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Map a Dashboard_Users row to the API shape (never includes hashes)
+ */
+function toDashboardUser(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    name: row.name || '',
+    role: row.role,
+    clubIds: (row.club_ids || []).map(String),
+    active: row.active !== false,
+    invitePending: !row.password_hash,
+    lastLoginAt: row.last_login_at || null,
+    createdAt: row.created_at || null
+  };
+}
+
+/**
+ * Validate a user from the admin API
+ * Returns { user } as Dashboard_Users columns, or { error }
+ */
+function validateDashboardUser(body, existing = {}) {
+  const user = {};
+
+  if (body.email !== undefined || !existing.email) {
+    const email = String(body.email || '').trim().toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return { error: 'email must be a valid email address' };
+    }
+    user.email = email;
+  }
+  if (body.name !== undefined) {
+    user.name = String(body.name || '').trim();
+  }
+  if (body.role !== undefined || !existing.role) {
+    if (!USER_ROLES.includes(body.role)) {
+      return { error: `role must be one of: ${USER_ROLES.join(', ')}` };
+    }
+    user.role = body.role;
+  }
+  if (body.clubIds !== undefined || !existing.club_ids) {
+    const clubIds = body.clubIds ?? [];
+    if (!Array.isArray(clubIds) || clubIds.some(id => id === '' || id === null || typeof id === 'object')) {
+      return { error: 'clubIds must be a list of club ids' };
+    }
+    user.club_ids = [...new Set(clubIds.map(String))];
+  }
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') {
+      return { error: 'active must be true or false' };
+    }
+    user.active = body.active;
+  }
+
+  return { user };
+}
+
+/**
+ * Load a user by id, cached for USER_CACHE_TTL (null if missing)
+ */
+async function getDashboardUser(id) {
+  const cached = dashboardUserCache.get(String(id));
+  if (cached && Date.now() - cached.loadedAt < USER_CACHE_TTL) {
+    return cached.row;
+  }
+
+  const supabase = getSupabase();
+  const { data, error } = await supabase
+    .from('Dashboard_Users')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  dashboardUserCache.set(String(id), { row: data, loadedAt: Date.now() });
+  return data;
+}
+
+async function findDashboardUserByEmail(email) {
+  const supabase = getSupabase();
+  const { data, error } = await supabase
+    .from('Dashboard_Users')
+    .select('*')
+    .eq('email', String(email || '').trim().toLowerCase())
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * The logged-in user for a request: an active Dashboard_Users account, or null
+ */
+async function getSessionUser(req) {
+  if (!req.session || !req.session.userId) return null;
+  const row = await getDashboardUser(req.session.userId);
+  return row && row.active !== false ? toDashboardUser(row) : null;
+}
+
+/**
+ * Club ids a user may see, or null for all clubs
+ */
+function getPermittedClubIds(user) {
+  return user.role === 'super-admin' ? null : user.clubIds;
+}
+
+function canAccessClub(user, clubId) {
+  const permitted = getPermittedClubIds(user);
+  return !permitted || permitted.includes(String(clubId));
+}
+
+function getRequestBaseUrl(req) {
+  // Use https in production (Replit runs behind proxy so req.protocol is http)
+  const protocol = req.get('x-forwarded-proto') || req.protocol;
+  return `${protocol}://${req.get('host')}`;
+}
+
+/**
+ * Write a plain-text email to MAIL_OUTBOX_DIR, returns the file path
+ */
+async function writeOutboxMail(message, fileStem) {
+  await fs.promises.mkdir(MAIL_OUTBOX_DIR, { recursive: true });
+  const file = path.join(MAIL_OUTBOX_DIR, `${fileStem}.eml`);
+  const headers = [
+    `From: ${SMTP_FROM || 'StrongSales Analytics'}`,
+    `To: ${message.to}`,
+    `Subject: ${message.subject}`,
+    `Date: ${new Date().toUTCString()}`
+  ];
+  await fs.promises.writeFile(file, `${headers.join('\n')}\n\n${message.text}\n`);
+  return file;
+}
+
+/**
+ * Give a user a new invite or password reset link and mail it to the outbox.
+ * Any earlier link stops working. Returns { expiresAt, file }.
+ */
+async function issueAccountLink(row, kind, baseUrl) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + (kind === 'invite' ? INVITE_TTL : PASSWORD_RESET_TTL)).toISOString();
+
+  const supabase = getSupabase();
+  const { error } = await supabase
+    .from('Dashboard_Users')
+    .update({ token_hash: hashAccountToken(token), token_expires_at: expiresAt })
+    .eq('id', row.id);
+
+  if (error) throw error;
+
+  const link = `${baseUrl}/reset-password?token=${token}`;
+  const greeting = row.name ? `Hi ${row.name},` : 'Hi,';
+  const message = kind === 'invite'
+    ? {
+        to: row.email,
+        subject: 'Your StrongSales Analytics account',
+        text: `${greeting}\n\nYou have been invited to StrongSales Analytics. Choose a password to activate your account:\n\n${link}\n\nThe link is valid for 7 days.`
+      }
+    : {
+        to: row.email,
+        subject: 'Reset your StrongSales Analytics password',
+        text: `${greeting}\n\nChoose a new password here:\n\n${link}\n\nThe link is valid for 1 hour. If you didn't ask for a new password you can ignore this email.`
+      };
+
+  const file = await writeOutboxMail(message, `${Date.now()}-${kind}-${row.id}`);
+  return { expiresAt, file };
+}
+
+// =============================================================================
+// AUDIT LOG
+// =============================================================================
+// Who did what, in the Supabase `Audit_Log` table. The server only ever inserts
+// rows. Details are built from whitelisted fields, so tokens, passwords, keys
+// and member ids never reach the log. Writing is best-effort: a failed insert
+// is reported with console.error and never fails the request.
+
+const AUDIT_QUERY_FIELDS = [
+  'fromDate', 'toDate', 'compare', 'compareFrom', 'compareTo', 'includeCancelled',
+  'format', 'scope', 'classTypes', 'instructor', 'siteId', 'benchmarks', 'clubIds', 'weeks', 'staffId', 'typeName'
+];
+const AUDIT_LIMIT_DEFAULT = 100;
+const AUDIT_LIMIT_MAX = 1000;
+
+/**
+ * Who made a request: a user, the admin key, an embed token, or nobody
+ */
+function getAuditActor(req) {
+  if (req.user && req.user.id) {
+    return { type: 'user', id: String(req.user.id), email: req.user.email };
+  }
+  if (req.headers['x-admin-key'] || req.query.adminKey) {
+    return { type: 'admin-key' };
+  }
+  if (req.embedToken) {
+    return { type: 'embed-token', id: req.embedToken.tokenId || null };
+  }
+  return { type: 'anonymous' };
+}
+
+/**
+ * Whitelisted query parameters worth keeping with a view or export
+ */
+function getAuditQueryDetails(query) {
+  const details = {};
+  AUDIT_QUERY_FIELDS.forEach(field => {
+    if (query[field] !== undefined && query[field] !== '') details[field] = String(query[field]);
+  });
+  return details;
+}
+
+/**
+ * Append one entry to the audit log
+ * entry: { outcome: 'success'|'failure', status?, clubId?, actor?, details? }
+ */
+async function recordAudit(req, action, entry = {}) {
+  const actor = entry.actor || getAuditActor(req);
+  try {
+    const supabase = getSupabase();
+    const { error } = await supabase
+      .from('Audit_Log')
+      .insert({
+        action,
+        outcome: entry.outcome || 'success',
+        status: entry.status || null,
+        actor_type: actor.type,
+        actor_id: actor.id || null,
+        actor_email: actor.email || null,
+        club_id: entry.clubId !== undefined && entry.clubId !== null ? String(entry.clubId) : null,
+        ip: req.ip || null,
+        details: entry.details || {}
+      });
+
+    if (error) throw error;
+  } catch (error) {
+    console.error(`Error writing audit log (${action}):`, error.message);
+  }
+}
+
+/**
+ * Middleware that logs a route once its response is sent, with the outcome from
+ * the status code. Put it before the auth middleware so refused requests are
+ * logged too. Handlers can add { clubId, details } in res.locals.audit.
+ */
+function auditRoute(action, { query = false } = {}) {
+  return (req, res, next) => {
+    res.on('finish', () => {
+      const extra = res.locals.audit || {};
+      recordAudit(req, action, {
+        outcome: res.statusCode < 400 ? 'success' : 'failure',
+        status: res.statusCode,
+        clubId: req.params.clubId || extra.clubId || (req.embedToken && req.embedToken.clubId),
+        details: { ...(query ? getAuditQueryDetails(req.query) : {}), ...(extra.details || {}) }
+      });
+    });
+    next();
+  };
+}
+
+// =============================================================================
+// RATE LIMITING
+// =============================================================================
+// Fixed-window request counters per IP or per embed token, and progressive
+// lockout of accounts after failed logins. Kept in memory, so they are per
+// server instance and start again on restart.
+
+const LOGIN_FAILURE_TTL = 24 * 60 * 60 * 1000;   // Failures are forgotten after a day without one
+const RATE_LIMIT_REPORT_KEYS = 20;                // Busiest keys listed per limiter on the admin endpoint
+
+/**
+ * A named fixed-window limiter: at most `limit` requests per key per RATE_LIMIT_WINDOW
+ */
+function createRateLimiter(name, limit) {
+  return { name, limit, windows: new Map(), requests: 0, throttled: 0 };
+}
+
+const rateLimiters = {
+  login: createRateLimiter('login', RATE_LIMIT_LOGIN),
+  verifyToken: createRateLimiter('verifyToken', RATE_LIMIT_VERIFY_TOKEN),
+  embedIp: createRateLimiter('embedIp', RATE_LIMIT_EMBED_IP),
+  embedToken: createRateLimiter('embedToken', RATE_LIMIT_EMBED_TOKEN)
+};
+
+// Failed logins by account (email): { failures, lastFailureAt, lockedUntil }
+const loginFailures = new Map();
+
+/**
+ * Count a request against a limiter
+ * Returns { allowed: true } or { allowed: false, retryAfter } in seconds
+ */
+function consumeRateLimit(limiter, key, now = Date.now()) {
+  let window = limiter.windows.get(key);
+  if (!window || window.resetAt <= now) {
+    window = { count: 0, resetAt: now + RATE_LIMIT_WINDOW };
+    limiter.windows.set(key, window);
+  }
+
+  limiter.requests++;
+  window.count++;
+  if (window.count > limiter.limit) {
+    limiter.throttled++;
+    return { allowed: false, retryAfter: Math.ceil((window.resetAt - now) / 1000) };
+  }
+  return { allowed: true };
+}
+
+/**
+ * Send a 429 with Retry-After - JSON for the API, a page for the login forms
+ */
+function sendTooManyRequests(req, res, retryAfter, message = 'Too many requests') {
+  res.set('Retry-After', String(retryAfter));
+  if (req.path.startsWith('/api/')) {
+    return res.status(429).json({ error: `${message}. Try again in ${retryAfter} seconds.`, retryAfter });
+  }
+  const minutes = Math.ceil(retryAfter / 60);
+  res.status(429).send(renderAuthPage('Too Many Attempts', 'Group Training Analytics Dashboard', `
+        ${renderAuthNotice(`${message}. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`)}
+        <p class="text-center text-sm">
+          <a href="/login" class="text-purple-600 hover:text-purple-800">Back to sign in</a>
+        </p>
+  `));
+}
+
+/**
+ * Middleware limiting requests per client IP
+ */
+function rateLimitByIp(limiter) {
+  return (req, res, next) => {
+    const { allowed, retryAfter } = consumeRateLimit(limiter, req.ip || 'unknown');
+    if (!allowed) {
+      return sendTooManyRequests(req, res, retryAfter);
+    }
+    next();
+  };
+}
+
+/**
+ * Seconds an account is still locked out for (0 if it isn't)
+ */
+function getLoginLockout(account, now = Date.now()) {
+  const entry = loginFailures.get(account);
+  if (!entry || !entry.lockedUntil || entry.lockedUntil <= now) return 0;
+  return Math.ceil((entry.lockedUntil - now) / 1000);
+}
+
+/**
+ * Count a failed login. From LOGIN_LOCKOUT_THRESHOLD failures on, the account is
+ * locked for LOGIN_LOCKOUT_SECONDS, doubling with every further failure up to
+ * LOGIN_LOCKOUT_MAX_SECONDS.
+ */
+function recordLoginFailure(account, now = Date.now()) {
+  let entry = loginFailures.get(account);
+  if (!entry || now - entry.lastFailureAt > LOGIN_FAILURE_TTL) {
+    entry = { failures: 0, lastFailureAt: now, lockedUntil: null };
+    loginFailures.set(account, entry);
+  }
+
+  entry.failures++;
+  entry.lastFailureAt = now;
+  if (entry.failures >= LOGIN_LOCKOUT_THRESHOLD) {
+    const seconds = Math.min(LOGIN_LOCKOUT_SECONDS * 2 ** (entry.failures - LOGIN_LOCKOUT_THRESHOLD), LOGIN_LOCKOUT_MAX_SECONDS);
+    entry.lockedUntil = now + seconds * 1000;
+  }
+}
+
+/**
+ * Drop expired windows and forgotten login failures
+ */
+function pruneRateLimits(now = Date.now()) {
+  Object.values(rateLimiters).forEach(limiter => {
+    limiter.windows.forEach((window, key) => {
+      if (window.resetAt <= now) limiter.windows.delete(key);
+    });
+  });
+  loginFailures.forEach((entry, account) => {
+    if (now - entry.lastFailureAt > LOGIN_FAILURE_TTL) loginFailures.delete(account);
+  });
+}
+
+/**
+ * Current counters for the admin endpoint
+ */
+function getRateLimitStatus(now = Date.now()) {
+  pruneRateLimits(now);
+  const toIso = ms => new Date(ms).toISOString();
+
+  const limiters = Object.values(rateLimiters).map(limiter => ({
+    name: limiter.name,
+    limit: limiter.limit,
+    windowSeconds: RATE_LIMIT_WINDOW / 1000,
+    requests: limiter.requests,
+    throttled: limiter.throttled,
+    activeKeys: limiter.windows.size,
+    busiest: [...limiter.windows.entries()]
+      .sort((a, b) => b[1].count - a[1].count)
+      .slice(0, RATE_LIMIT_REPORT_KEYS)
+      .map(([key, window]) => ({ key, count: window.count, throttled: window.count > limiter.limit, resetAt: toIso(window.resetAt) }))
+  }));
+
+  const lockouts = [...loginFailures.entries()]
+    .map(([account, entry]) => ({
+      account,
+      failures: entry.failures,
+      lastFailureAt: toIso(entry.lastFailureAt),
+      lockedUntil: entry.lockedUntil && entry.lockedUntil > now ? toIso(entry.lockedUntil) : null
+    }))
+    .sort((a, b) => b.failures - a.failures);
+
+  return {
+    limiters,
+    lockouts,
+    settings: {
+      lockoutThreshold: LOGIN_LOCKOUT_THRESHOLD,
+      lockoutSeconds: LOGIN_LOCKOUT_SECONDS,
+      lockoutMaxSeconds: LOGIN_LOCKOUT_MAX_SECONDS,
+      embedMaxRangeDays: EMBED_MAX_RANGE_DAYS
+    }
+  };
+}
+
+// =============================================================================
+// AUTHENTICATION
+// =============================================================================
+
+/**
+ * Check if user is authenticated, and set req.user
+ */
+async function isAuthenticated(req, res, next) {
+  try {
+    const user = await getSessionUser(req);
+    if (user) {
+      req.user = user;
+      return next();
+    }
+  } catch (error) {
+    console.error('Error loading session user:', error);
+    return res.status(500).json({ error: error.message });
+  }
+  // For API requests, return 401
+  if (req.path.startsWith('/api/')) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  // For page requests, redirect to login
+  return res.redirect('/login');
+}
+
+/**
+ * Admin API access with X-Admin-Key (as a super-admin), or from a logged-in dashboard session
+ */
+async function requireAdminKeyOrSession(req, res, next) {
+  try {
+    const user = await getSessionUser(req);
+    if (user) {
+      req.user = user;
+      return next();
+    }
+  } catch (error) {
+    console.error('Error loading session user:', error);
+    return res.status(500).json({ error: error.message });
+  }
+  return requireAdminKey(req, res, () => {
+    req.user = ADMIN_SESSION_USER;
+    next();
+  });
+}
+
+/**
+ * Only let some roles through (after isAuthenticated or requireAdminKeyOrSession)
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ error: 'Your role does not allow this' });
+    }
+    next();
+  };
+}
+
+/**
+ * Refuse clubs the user hasn't been given (routes with :clubId)
+ */
+function requireClubAccess(req, res, next) {
+  if (!canAccessClub(req.user, req.params.clubId)) {
+    return res.status(403).json({ error: 'No access to this club' });
+  }
+  next();
+}
+
+/**
+ * Check if request has valid embed token (for public embed access)
+ */
+async function hasValidEmbedToken(req) {
+  const token = req.query.token;
+  if (!token) return false;
+  const result = await verifyEmbedToken(token).catch(error => {
+    console.error('Error verifying embed token:', error.message);
+    return { valid: false };
+  });
+  return result.valid;
+}
+
+/**
+ * Centered card page used by login, forgot password and reset password
+ */
+function renderAuthPage(title, subtitle, body) {
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>${title} | StrongSales Analytics</title>
+      <script src="https://cdn.tailwindcss.com"></script>
+      <style>
+        .gradient-bg {
+          background: linear-gradient(135deg, #AFACFB 0%, #8b5cf6 50%, #6d28d9 100%);
+        }
+      </style>
+    </head>
+    <body class="min-h-screen gradient-bg flex items-center justify-center p-4">
+      <div class="bg-white rounded-2xl shadow-2xl p-8 w-full max-w-md">
+        <div class="text-center mb-8">
+          <img src="/Strongsales%20logo%20black%20%26%20purple%20Transparent.png" alt="StrongSales" class="h-12 mx-auto mb-4">
+          <h1 class="text-2xl font-bold text-gray-900">${title}</h1>
+          <p class="text-gray-500 text-sm mt-1">${subtitle}</p>
+        </div>
+        ${body}
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+function renderAuthNotice(text, tone = 'error') {
+  const colors = tone === 'error'
+    ? 'bg-red-50 border-red-200 text-red-700'
+    : 'bg-green-50 border-green-200 text-green-700';
+  return `
+    <div class="mb-6 p-4 ${colors} border rounded-xl text-sm">
+      ${text}
+    </div>
+  `;
+}
+
+const AUTH_INPUT_CLASS = 'w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:ring-2 focus:ring-purple-300 focus:border-purple-300 transition-all';
+const AUTH_BUTTON_CLASS = 'w-full py-3 px-4 bg-gradient-to-r from-purple-400 to-purple-600 hover:from-purple-500 hover:to-purple-700 text-white font-semibold rounded-xl shadow-lg transition-all';
+
+/**
+ * Login page
+ */
+app.get('/login', (req, res) => {
+  // If already logged in, redirect to dashboard
+  if (req.session && req.session.userId) {
+    return res.redirect('/');
+  }
+
+  const { error, reset } = req.query;
+  res.send(renderAuthPage('Sign In', 'Group Training Analytics Dashboard', `
+        ${error ? renderAuthNotice('Invalid email or password. Please try again.') : ''}
+        ${reset ? renderAuthNotice('Your password has been saved. You can sign in now.', 'success') : ''}
+
+        <form method="POST" action="/login" class="space-y-6">
+          <div>
+            <label for="email" class="block text-sm font-medium text-gray-700 mb-2">Email</label>
+            <input type="email" id="email" name="email" required autocomplete="username" autofocus class="${AUTH_INPUT_CLASS}" placeholder="you@example.com">
+          </div>
+          <div>
+            <label for="password" class="block text-sm font-medium text-gray-700 mb-2">Password</label>
+            <input type="password" id="password" name="password" required autocomplete="current-password" class="${AUTH_INPUT_CLASS}" placeholder="Enter your password">
+          </div>
+          <button type="submit" class="${AUTH_BUTTON_CLASS}">
+            Sign In
+          </button>
+        </form>
+
+        <p class="mt-6 text-center text-sm">
+          <a href="/forgot-password" class="text-purple-600 hover:text-purple-800">Forgot your password?</a>
+        </p>
+  `));
+});
+
+/**
+ * Login handler - a user account's email and password
+ * Limited per IP, and accounts are locked out after repeated failures.
+ */
+app.post('/login', rateLimitByIp(rateLimiters.login), async (req, res) => {
+  const { email, password } = req.body;
+  if (!email) {
+    return res.redirect('/login?error=1');
+  }
+  const account = String(email).trim().toLowerCase();
+  let actor = { type: 'user', email: account };
+
+  const lockedFor = getLoginLockout(account);
+  if (lockedFor) {
+    recordAudit(req, 'login', { outcome: 'failure', status: 429, actor, details: { reason: 'locked' } });
+    return sendTooManyRequests(req, res, lockedFor, 'Too many failed sign-ins');
+  }
+
+  try {
+    const row = await findDashboardUserByEmail(email);
+    actor = { ...actor, id: row ? String(row.id) : null };
+    if (!row || row.active === false || !(await verifyPassword(password, row.password_hash))) {
+      const reason = !row ? 'unknown-user' : row.active === false ? 'inactive' : 'wrong-password';
+      recordLoginFailure(account);
+      recordAudit(req, 'login', { outcome: 'failure', actor, details: { reason } });
+      return res.redirect('/login?error=1');
+    }
+
+    await getSupabase()
+      .from('Dashboard_Users')
+      .update({ last_login_at: new Date().toISOString() })
+      .eq('id', row.id);
+
+    // New session id on login
+    req.session.regenerate((err) => {
+      if (err) {
+        console.error('Login session error:', err);
+        return res.redirect('/login?error=1');
+      }
+      req.session.userId = row.id;
+      req.session.loginTime = Date.now();
+      loginFailures.delete(account);
+      recordAudit(req, 'login', { actor });
+      res.redirect('/');
+    });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.redirect('/login?error=1');
+  }
+});
+
+/**
+ * Forgot password page
+ */
+app.get('/forgot-password', (req, res) => {
+  res.send(renderAuthPage('Forgot Password', 'We will send you a link to choose a new one', `
+        ${req.query.sent ? renderAuthNotice('If that email has an account, a reset link is on its way.', 'success') : ''}
+
+        <form method="POST" action="/forgot-password" class="space-y-6">
+          <div>
+            <label for="email" class="block text-sm font-medium text-gray-700 mb-2">Email</label>
+            <input type="email" id="email" name="email" required autofocus class="${AUTH_INPUT_CLASS}" placeholder="you@example.com">
+          </div>
+          <button type="submit" class="${AUTH_BUTTON_CLASS}">
+            Send Reset Link
+          </button>
+        </form>
+
+        <p class="mt-6 text-center text-sm">
+          <a href="/login" class="text-purple-600 hover:text-purple-800">Back to sign in</a>
+        </p>
+  `));
+});
+
+/**
+ * Send a password reset link - the answer is the same whether or not the account exists
+ */
+app.post('/forgot-password', rateLimitByIp(rateLimiters.login), async (req, res) => {
+  try {
+    const row = await findDashboardUserByEmail(req.body.email);
+    if (row && row.active !== false) {
+      await issueAccountLink(row, 'reset', getRequestBaseUrl(req));
+    }
+  } catch (error) {
+    console.error('Error sending password reset:', error);
+  }
+  res.redirect('/forgot-password?sent=1');
+});
+
+/**
+ * Choose a password from an invite or reset link
+ */
+app.get('/reset-password', (req, res) => {
+  const { token = '', error } = req.query;
+  const message = {
+    expired: 'This link is invalid or has expired. Ask for a new one.',
+    short: `Passwords must be at least ${PASSWORD_MIN_LENGTH} characters.`,
+    mismatch: 'The passwords do not match.'
+  }[error];
+
+  res.send(renderAuthPage('Choose a Password', 'Set the password for your account', `
+        ${message ? renderAuthNotice(message) : ''}
+
+        <form method="POST" action="/reset-password" class="space-y-6">
+          <input type="hidden" name="token" value="${escapeHtml(token)}">
+          <div>
+            <label for="password" class="block text-sm font-medium text-gray-700 mb-2">New password</label>
+            <input type="password" id="password" name="password" required minlength="${PASSWORD_MIN_LENGTH}" autocomplete="new-password" autofocus class="${AUTH_INPUT_CLASS}">
+          </div>
+          <div>
+            <label for="confirm" class="block text-sm font-medium text-gray-700 mb-2">Repeat password</label>
+            <input type="password" id="confirm" name="confirm" required minlength="${PASSWORD_MIN_LENGTH}" autocomplete="new-password" class="${AUTH_INPUT_CLASS}">
+          </div>
+          <button type="submit" class="${AUTH_BUTTON_CLASS}">
+            Save Password
+          </button>
+        </form>
+  `));
+});
+
+app.post('/reset-password', rateLimitByIp(rateLimiters.login), async (req, res) => {
+  const { token, password, confirm } = req.body;
+  const retry = error => res.redirect(`/reset-password?token=${encodeURIComponent(token || '')}&error=${error}`);
+
+  if (!password || password.length < PASSWORD_MIN_LENGTH) return retry('short');
+  if (password !== confirm) return retry('mismatch');
+
+  try {
+    const supabase = getSupabase();
+    const { data: row, error } = await supabase
+      .from('Dashboard_Users')
+      .select('*')
+      .eq('token_hash', hashAccountToken(token || ''))
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!row || row.active === false || !row.token_expires_at || new Date(row.token_expires_at) < new Date()) {
+      return retry('expired');
+    }
+
+    const { error: updateError } = await supabase
+      .from('Dashboard_Users')
+      .update({ password_hash: await hashPassword(password), token_hash: null, token_expires_at: null })
+      .eq('id', row.id);
+
+    if (updateError) throw updateError;
+    dashboardUserCache.delete(String(row.id));
+    recordAudit(req, 'password.set', { actor: { type: 'user', id: String(row.id), email: row.email } });
+
+    res.redirect('/login?reset=1');
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    retry('expired');
+  }
+});
+
+/**
+ * Logout handler
+ */
+app.post('/logout', (req, res) => {
+  req.session.destroy((err) => {
+    if (err) {
+      console.error('Logout error:', err);
+    }
+    res.redirect('/login');
+  });
+});
+
+app.get('/logout', (req, res) => {
+  req.session.destroy((err) => {
+    if (err) {
+      console.error('Logout error:', err);
+    }
+    res.redirect('/login');
+  });
+});
+
+// =============================================================================
+// API ROUTES
+// =============================================================================
+
+/**
+ * Health check (public)
+ */
+app.get('/api/health', (req, res) => {
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    supabase_configured: !!SUPABASE_KEY,
+    auth_configured: !!SUPABASE_KEY
+  });
+});
+
+/**
+ * The logged-in user, for the dashboard to adapt to their role
+ */
+app.get('/api/me', isAuthenticated, (req, res) => {
+  res.json(req.user);
+});
+
+/**
+ * Get list of the gyms the user may see from Supabase (protected)
+ */
+app.get('/api/gyms', isAuthenticated, async (req, res) => {
+  try {
+    const permitted = getPermittedClubIds(req.user);
+    if (permitted && permitted.length === 0) {
+      return res.json([]);
+    }
+
+    const supabase = getSupabase();
+    let query = supabase
+      .from('Clubs')
+      .select('Club_Zoezi_ID, Club_name, Zoezi_Domain, Timezone')
+      .order('Club_name');
+    if (permitted) {
+      query = query.in('Club_Zoezi_ID', permitted);
+    }
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    res.json(data || []);
+  } catch (error) {
+    console.error('Error fetching gyms:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Fetch workout schedule for a gym, bookings included (super-admins and account managers)
+ */
+app.get('/api/schedule/:clubId', auditRoute('schedule.view', { query: true }), isAuthenticated, requireRole(...MEMBER_DATA_ROLES), requireClubAccess, async (req, res) => {
+  try {
+    const { clubId } = req.params;
+    const { fromDate, toDate } = req.query;
+
+    if (!fromDate || !toDate) {
+      return res.status(400).json({ error: 'fromDate and toDate are required' });
+    }
+
+    // Get club config from Supabase
+    const club = await getClub(clubId);
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found' });
+    }
+
+    // Fetch workout schedule from Zoezi
+    const { workouts, missingRanges } = await fetchWorkoutsChunked(club, fromDate, toDate);
+    if (missingRanges.length > 0) {
+      res.set('X-Missing-Ranges', JSON.stringify(missingRanges.map(r => ({ fromDate: r.fromDate, toDate: r.toDate }))));
+    }
+
+    res.json(workouts);
+  } catch (error) {
+    console.error('Error fetching schedule:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get analytics for a gym's workout schedule
+ * Optional comparison: compare=previous|lastYear|custom (custom needs compareFrom & compareTo)
+ */
+app.get('/api/analytics/:clubId', auditRoute('analytics.view', { query: true }), isAuthenticated, requireClubAccess, async (req, res) => {
+  try {
+    const { clubId } = req.params;
+    const { fromDate, toDate } = req.query;
+
+    if (!fromDate || !toDate) {
+      return res.status(400).json({ error: 'fromDate and toDate are required' });
+    }
+
+    // Get club config from Supabase
+    const club = await getClub(clubId);
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found' });
+    }
+
+    const analytics = await buildAnalyticsWithComparison(club, req.query);
+
+    // Read-only users get the no-show counts without who the members were
+    res.json(MEMBER_DATA_ROLES.includes(req.user.role) ? analytics : hideMemberData(analytics));
+  } catch (error) {
+    console.error('Error fetching analytics:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * League table across all or selected gyms the user may see
+ * Query: fromDate, toDate, clubIds=1,2,3 (default: all), minFillRate, maxEmptyRate, includeCancelled=true
+ */
+app.get('/api/portfolio', auditRoute('portfolio.view', { query: true }), isAuthenticated, async (req, res) => {
+  try {
+    const { fromDate, toDate, clubIds, minFillRate, maxEmptyRate } = req.query;
+
+    if (!fromDate || !toDate) {
+      return res.status(400).json({ error: 'fromDate and toDate are required' });
+    }
+
+    // Only the user's own gyms, even when clubIds asks for more
+    const permitted = getPermittedClubIds(req.user);
+    let ids = clubIds ? String(clubIds).split(',').map(id => id.trim()).filter(Boolean) : permitted;
+    if (ids && permitted) {
+      ids = ids.filter(id => permitted.includes(id));
+    }
+
+    const supabase = getSupabase();
+    let query = supabase
+      .from('Clubs')
+      .select('*')
+      .order('Club_name');
+    if (ids) {
+      query = query.in('Club_Zoezi_ID', ids);
+    }
+    const { data: clubs, error } = await query;
+
+    if (error) throw error;
+    res.locals.audit = { details: { loadedClubIds: (clubs || []).map(club => String(club.Club_Zoezi_ID)) } };
+
+    const thresholds = {
+      minFillRate: minFillRate ? parseFloat(minFillRate) : null,
+      maxEmptyRate: maxEmptyRate ? parseFloat(maxEmptyRate) : null
+    };
+    const portfolio = await buildPortfolio(clubs || [], fromDate, toDate, {
+      includeCancelled: req.query.includeCancelled === 'true'
+    }, thresholds);
+
+    res.json(portfolio);
+  } catch (error) {
+    console.error('Error fetching portfolio:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Branded PDF report for a gym (super-admins and account managers)
+ * Same query parameters as /api/analytics/:clubId
+ */
+app.get('/api/analytics/:clubId/report.pdf', auditRoute('export.pdf', { query: true }), isAuthenticated, requireRole(...MEMBER_DATA_ROLES), requireClubAccess, async (req, res) => {
+  try {
+    const { clubId } = req.params;
+    const { fromDate, toDate } = req.query;
+
+    if (!fromDate || !toDate) {
+      return res.status(400).json({ error: 'fromDate and toDate are required' });
+    }
+
+    const club = await getClub(clubId);
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found' });
+    }
+
+    const analytics = await buildAnalyticsWithComparison(club, req.query);
+    sendAnalyticsPdf(res, analytics);
+  } catch (error) {
+    console.error('Error rendering PDF report:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Full data export for a gym (super-admins and account managers)
+ * Query: fromDate, toDate, format=csv|xlsx|json, scope=summary|classes|workouts,
+ * includeCancelled, classTypes (repeatable), instructor, siteId
+ */
+app.get('/api/analytics/:clubId/export', auditRoute('export', { query: true }), isAuthenticated, requireRole(...MEMBER_DATA_ROLES), requireClubAccess, async (req, res) => {
+  try {
+    const { clubId } = req.params;
+    const invalid = validateExportQuery(req.query);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const club = await getClub(clubId);
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found' });
+    }
+
+    const analytics = await buildAnalytics(club, req.query.fromDate, req.query.toDate, {
+      includeCancelled: req.query.includeCancelled === 'true',
+      filters: parseWorkoutFilters(req.query)
+    });
+    await sendAnalyticsExport(res, analytics, req.query.format || 'csv', req.query.scope || 'classes');
+  } catch (error) {
+    console.error('Error exporting analytics:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Member engagement segments and fading-members list for a gym (super-admins and account managers)
+ */
+app.get('/api/members/:clubId', auditRoute('members.view', { query: true }), isAuthenticated, requireRole(...MEMBER_DATA_ROLES), requireClubAccess, async (req, res) => {
+  try {
+    const { clubId } = req.params;
+    const { fromDate, toDate } = req.query;
+
+    if (!fromDate || !toDate) {
+      return res.status(400).json({ error: 'fromDate and toDate are required' });
+    }
+
+    const club = await getClub(clubId);
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found' });
+    }
+
+    res.json(await buildMembers(club, fromDate, toDate));
+  } catch (error) {
+    console.error('Error fetching members:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Schedule recommendations for a gym (admin only)
+ */
+app.get('/api/recommendations/:clubId', auditRoute('recommendations.view', { query: true }), isAuthenticated, requireClubAccess, async (req, res) => {
+  try {
+    const { clubId } = req.params;
+    const { fromDate, toDate } = req.query;
+
+    if (!fromDate || !toDate) {
+      return res.status(400).json({ error: 'fromDate and toDate are required' });
+    }
+
+    const club = await getClub(clubId);
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found' });
+    }
+
+    res.json(await buildRecommendations(club, fromDate, toDate));
+  } catch (error) {
+    console.error('Error building recommendations:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Predicted fill for upcoming classes in the next 1-4 weeks (admin only)
+ */
+app.get('/api/forecast/:clubId', auditRoute('forecast.view', { query: true }), isAuthenticated, requireClubAccess, async (req, res) => {
+  try {
+    const weeks = parseForecastWeeks(req.query.weeks);
+    if (!weeks) {
+      return res.status(400).json({ error: `weeks must be between 1 and ${FORECAST_MAX_WEEKS}` });
+    }
+
+    const club = await getClub(req.params.clubId);
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found' });
+    }
+
+    res.json(await buildForecast(club, weeks));
+  } catch (error) {
+    console.error('Error building forecast:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Drill-down for one instructor by Zoezi staff id (admin only)
+ */
+app.get('/api/instructors/:clubId/:staffId', auditRoute('instructor.view', { query: true }), isAuthenticated, requireClubAccess, async (req, res) => {
+  try {
+    const { clubId, staffId } = req.params;
+    res.locals.audit = { details: { staffId } };
+    const { fromDate, toDate } = req.query;
+
+    if (!fromDate || !toDate) {
+      return res.status(400).json({ error: 'fromDate and toDate are required' });
+    }
+
+    const club = await getClub(clubId);
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found' });
+    }
+
+    const instructor = await buildInstructor(club, staffId, fromDate, toDate);
+    if (!instructor) {
+      return res.status(404).json({ error: 'No classes for this instructor in the selected period' });
+    }
+
+    res.json(instructor);
+  } catch (error) {
+    console.error('Error building instructor drill-down:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Drill-down for one class type by name (admin only)
+ */
+app.get('/api/class-types/:clubId/:typeName', auditRoute('class-type.view', { query: true }), isAuthenticated, requireClubAccess, async (req, res) => {
+  try {
+    const { clubId, typeName } = req.params;
+    res.locals.audit = { details: { typeName } };
+    const { fromDate, toDate } = req.query;
+
+    if (!fromDate || !toDate) {
+      return res.status(400).json({ error: 'fromDate and toDate are required' });
+    }
+
+    const club = await getClub(clubId);
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found' });
+    }
+
+    const classType = await buildClassType(club, typeName, fromDate, toDate);
+    if (!classType) {
+      return res.status(404).json({ error: 'No classes of this type in the selected period' });
+    }
+
+    res.json(classType);
+  } catch (error) {
+    console.error('Error building class type drill-down:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =============================================================================
+// EMBED TOKEN ACCESS
+// =============================================================================
+// Tokens can be limited to dashboard sections, sites and a look-back window.
+// Revoked token ids live in the Supabase `Embed_Token_Revocations` table; the
+// list is cached for a minute, so a revocation takes effect within that time
+// on other server instances (immediately on the one that revoked it).
+
+let revokedEmbedTokens = { ids: null, loadedAt: 0 };
+
+/**
+ * Ids of revoked embed tokens (cached). Falls back to the last list if
+ * Supabase can't be reached, and throws if there is none yet.
+ */
+async function getRevokedEmbedTokenIds() {
+  if (revokedEmbedTokens.ids && Date.now() - revokedEmbedTokens.loadedAt < EMBED_REVOCATION_TTL) {
+    return revokedEmbedTokens.ids;
+  }
+
+  try {
+    const supabase = getSupabase();
+    const { data, error } = await supabase
+      .from('Embed_Token_Revocations')
+      .select('token_id');
+
+    if (error) throw error;
+    revokedEmbedTokens = { ids: new Set((data || []).map(r => r.token_id)), loadedAt: Date.now() };
+  } catch (error) {
+    if (!revokedEmbedTokens.ids) throw error;
+    console.error('Error refreshing revoked embed tokens, using the last list:', error.message);
+  }
+  return revokedEmbedTokens.ids;
+}
+
+/**
+ * Validate the options for a new embed token
+ * Returns { options } or { error }
+ */
+function validateEmbedTokenOptions(body) {
+  const { scopes = [], sections, siteIds, expiresInDays, maxLookbackDays } = body;
+
+  if (!Array.isArray(scopes) || scopes.some(scope => !EMBED_SCOPES.includes(scope))) {
+    return { error: `scopes must be a list of: ${EMBED_SCOPES.join(', ')}` };
+  }
+  if (sections !== undefined && sections !== null &&
+      (!Array.isArray(sections) || sections.length === 0 || sections.some(section => !EMBED_SECTIONS.includes(section)))) {
+    return { error: `sections must be a non-empty list of: ${EMBED_SECTIONS.join(', ')}` };
+  }
+  if (siteIds !== undefined && siteIds !== null &&
+      (!Array.isArray(siteIds) || siteIds.length === 0 || siteIds.some(id => id === '' || id === null || typeof id === 'object'))) {
+    return { error: 'siteIds must be a non-empty list of site ids' };
+  }
+  if (expiresInDays !== undefined && !(Number.isInteger(expiresInDays) && expiresInDays >= 1 && expiresInDays <= EMBED_TOKEN_MAX_DAYS)) {
+    return { error: `expiresInDays must be a whole number between 1 and ${EMBED_TOKEN_MAX_DAYS}` };
+  }
+  if (maxLookbackDays !== undefined && maxLookbackDays !== null && !(Number.isInteger(maxLookbackDays) && maxLookbackDays >= 1)) {
+    return { error: 'maxLookbackDays must be a whole number of at least 1' };
+  }
+
+  return {
+    options: {
+      scopes: [...new Set(scopes)],
+      sections: sections ? [...new Set(sections)] : null,
+      siteIds: siteIds ? [...new Set(siteIds.map(String))] : null,
+      expiresInDays: expiresInDays || EMBED_TOKEN_MAX_DAYS,
+      maxLookbackDays: maxLookbackDays || null
+    }
+  };
+}
+
+/**
+ * Whether a verified token may see a dashboard section
+ */
+function canEmbedSection(tokenResult, section) {
+  return !tokenResult.sections || tokenResult.sections.includes(section);
+}
+
+/**
+ * First date a token may see (YYYY-MM-DD in the club's timezone), or null
+ */
+function getEmbedEarliestDate(tokenResult, club) {
+  if (!tokenResult.maxLookbackDays) return null;
+  return shiftDate(getZonedToday(getClubTimeZone(club)), -tokenResult.maxLookbackDays);
+}
+
+/**
+ * Drop workouts at sites an embed token doesn't cover (club.allowedSiteIds,
+ * set by getEmbedAccess). Other requests have no restriction.
+ */
+function filterAllowedSites(club, workouts) {
+  if (!club.allowedSiteIds) return workouts;
+  const allowed = new Set(club.allowedSiteIds);
+  return workouts.filter(w => allowed.has(String(w.site_id || w.siteId || '')));
+}
+
+/**
+ * Check an embed request against its token: validity, the per-token rate limit,
+ * the section it needs, the longest date range and the look-back window for
+ * fromDate and any comparison period. Sends the error response and returns null
+ * if refused, otherwise { token, club } with the club limited to the token's sites.
+ */
+async function getEmbedAccess(req, res, section = null) {
+  const tokenResult = await verifyEmbedToken(req.query.token);
+  req.embedToken = tokenResult;
+  if (!tokenResult.valid) {
+    res.status(401).json({ error: tokenResult.error });
+    return null;
+  }
+
+  const { allowed, retryAfter } = consumeRateLimit(rateLimiters.embedToken, tokenResult.tokenId);
+  if (!allowed) {
+    sendTooManyRequests(req, res, retryAfter);
+    return null;
+  }
+
+  if (section && !canEmbedSection(tokenResult, section)) {
+    res.status(403).json({ error: `Token does not allow ${section}` });
+    return null;
+  }
+
+  const club = await getClub(tokenResult.clubId);
+  if (!club) {
+    res.status(404).json({ error: 'Club not found' });
+    return null;
+  }
+
+  // Every date is checked before the caps below - Date.newFull reads far more
+  // than YYYY-MM-DD, and a date the caps skip could fetch years of data
+  const { fromDate, toDate, compare, compareFrom, compareTo } = req.query;
+  const dates = { fromDate, toDate, compareFrom, compareTo };
+  const invalid = Object.keys(dates).find(name => dates[name] !== undefined && !isDateString(dates[name]));
+  if (invalid) {
+    res.status(400).json({ error: `Invalid ${invalid} - expected YYYY-MM-DD` });
+    return null;
+  }
+  if (fromDate && toDate && fromDate > toDate) {
+    res.status(400).json({ error: 'Invalid date range' });
+    return null;
+  }
+
+  const comparison = fromDate && toDate ? getComparisonRange(fromDate, toDate, compare, compareFrom, compareTo) : null;
+  if (comparison && comparison.error) {
+    res.status(400).json({ error: comparison.error });
+    return null;
+  }
+
+  // Long ranges mean many Zoezi fetches - cap them, comparison period included
+  const tooLong = [[fromDate, toDate], comparison && [comparison.fromDate, comparison.toDate]]
+    .filter(range => range && range[0] && range[1])
+    .some(([from, to]) => getDaysBetween(from, to) + 1 > EMBED_MAX_RANGE_DAYS);
+  if (tooLong) {
+    res.status(400).json({ error: `Date range too long - embeds allow at most ${EMBED_MAX_RANGE_DAYS} days` });
+    return null;
+  }
+
+  const earliest = getEmbedEarliestDate(tokenResult, club);
+  if (earliest) {
+    const starts = [fromDate, comparison ? comparison.fromDate : null].filter(Boolean);
+    if (starts.some(date => date < earliest)) {
+      res.status(403).json({ error: `Token only allows data from ${earliest}` });
+      return null;
+    }
+  }
+
+  return {
+    token: tokenResult,
+    club: tokenResult.siteIds ? { ...club, allowedSiteIds: tokenResult.siteIds } : club
+  };
+}
+
+// What's left of the analytics keys built for one dashboard section when a token leaves it out
+const EMBED_SECTION_KEYS = {
+  trend: { dailyTrend: [] },
+  classTypes: { byType: [] },
+  weekdays: { byDay: [] },
+  hours: { byHour: [] },
+  heatmap: { byDayHour: null },
+  waitlist: { overflowSlots: [] },
+  cancellations: { cancellations: null },
+  retention: { retention: null }
+};
+
+/**
+ * The query an embed request may build analytics from: no instructor filter
+ * without the instructors section, no cancelled classes without cancellations
+ */
+function getEmbedQuery(query, tokenResult) {
+  return {
+    ...query,
+    instructor: canEmbedSection(tokenResult, 'instructors') ? query.instructor : undefined,
+    includeCancelled: canEmbedSection(tokenResult, 'cancellations') ? query.includeCancelled : undefined
+  };
+}
+
+/**
+ * Remove every section a token leaves out from an analytics response, so the
+ * PDF, exports and API never carry them: the section's tables and charts,
+ * instructor names, cancelled class rows, recommendations and benchmarks.
+ * Member-level no-show data (who didn't show up) needs the 'members' scope as
+ * well as the noShows section - without it only the counts remain. The class
+ * rows otherwise stay, since the summary and the dashboard filters need them.
+ */
+function applyEmbedSections(analytics, tokenResult) {
+  const showMembers = (tokenResult.scopes || []).includes('members') && canEmbedSection(tokenResult, 'noShows');
+
+  const stripWorkouts = workouts => (workouts || [])
+    .filter(w => canEmbedSection(tokenResult, 'cancellations') || !w.status || w.status === 'ok')
+    .map(w => ({ ...w, staffs: canEmbedSection(tokenResult, 'instructors') ? w.staffs : [] }));
+
+  Object.entries(EMBED_SECTION_KEYS).forEach(([section, keys]) => {
+    if (canEmbedSection(tokenResult, section)) return;
+    Object.assign(analytics, keys);
+    // The comparison has deltas for the class type, weekday and hour tables
+    Object.keys(keys).filter(key => analytics.comparison && key in analytics.comparison)
+      .forEach(key => { analytics.comparison[key] = {}; });
+  });
+
+  if (!canEmbedSection(tokenResult, 'instructors')) {
+    analytics.byInstructor = [];
+    if (analytics.cancellations) analytics.cancellations.byInstructor = [];
+    if (analytics.comparison) analytics.comparison.byInstructor = {};
+    if (analytics.filters) analytics.filters.instructorName = null;
+  }
+  if (!canEmbedSection(tokenResult, 'recommendations')) {
+    delete analytics.recommendations;
+  }
+  if (!canEmbedSection(tokenResult, 'benchmarks')) {
+    delete analytics.benchmarks;
+  }
+
+  analytics.rawWorkouts = stripWorkouts(analytics.rawWorkouts);
+  if (analytics.comparison) analytics.comparison.workouts = stripWorkouts(analytics.comparison.workouts);
+  analytics.sections = tokenResult.sections;
+  return showMembers ? analytics : hideMemberData(analytics);
+}
+
+// =============================================================================
+// SECURE EMBED ROUTES
+// =============================================================================
+
+// Every /api/embed route is limited per IP after its audit middleware, so throttled
+// requests are logged too; getEmbedAccess also limits per token
+const limitEmbedByIp = rateLimitByIp(rateLimiters.embedIp);
+
+/**
+ * Generate embed token for a club (admin, or a super-admin or account manager with access to the club)
+ * POST /api/admin/embed-token
+ * Body: { clubId: "123", scopes?: ["members"], sections?: ["trend", ...], siteIds?: ["1"],
+ *         expiresInDays?: 1-365, maxLookbackDays?: 90 }
+ * Headers: X-Admin-Key: your-admin-key
+ */
+app.post('/api/admin/embed-token', auditRoute('embed-token.create'), requireAdminKeyOrSession, requireRole('super-admin', 'account-manager'), async (req, res) => {
+  try {
+    const { clubId } = req.body;
+
+    if (!clubId) {
+      return res.status(400).json({ error: 'clubId is required' });
+    }
+    if (!canAccessClub(req.user, clubId)) {
+      return res.status(403).json({ error: 'No access to this club' });
+    }
+
+    const { options, error: invalid } = validateEmbedTokenOptions(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    // Verify club exists
+    const supabase = getSupabase();
+    const { data: club, error } = await supabase
+      .from('Clubs')
+      .select('Club_Zoezi_ID, Club_name')
+      .eq('Club_Zoezi_ID', clubId)
+      .single();
+
+    if (error || !club) {
+      return res.status(404).json({ error: 'Club not found' });
+    }
+
+    const { token, claims } = generateEmbedToken(clubId, options);
+    res.locals.audit = {
+      clubId: club.Club_Zoezi_ID,
+      details: { tokenId: claims.id, expiresAt: new Date(claims.expiresAt).toISOString(), ...options }
+    };
+
+    // Use https in production (Replit runs behind proxy so req.protocol is http)
+    const protocol = req.get('x-forwarded-proto') || req.protocol;
+
+    res.json({
+      token,
+      tokenId: claims.id,
+      clubId: club.Club_Zoezi_ID,
+      clubName: club.Club_name,
+      expiresAt: new Date(claims.expiresAt).toISOString(),
+      scopes: options.scopes,
+      sections: options.sections,
+      siteIds: options.siteIds,
+      maxLookbackDays: options.maxLookbackDays,
+      embedUrl: `${protocol}://${req.get('host')}/?token=${token}&hideHeader=true`
+    });
+  } catch (error) {
+    console.error('Error generating embed token:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * List all clubs with a new full-access embed token each (admin or super-admin login)
+ * GET /api/admin/embed-tokens
+ * Headers: X-Admin-Key: your-admin-key
+ */
+app.get('/api/admin/embed-tokens', auditRoute('embed-tokens.list'), requireAdminKeyOrSession, requireRole('super-admin'), async (req, res) => {
+  try {
+    const supabase = getSupabase();
+    const { data: clubs, error } = await supabase
+      .from('Clubs')
+      .select('Club_Zoezi_ID, Club_name')
+      .order('Club_name');
+
+    if (error) throw error;
+
+    // Use https in production (Replit runs behind proxy)
+    const protocol = req.get('x-forwarded-proto') || req.protocol;
+    const baseUrl = `${protocol}://${req.get('host')}`;
+    const tokens = clubs.map(club => {
+      const { token, claims } = generateEmbedToken(club.Club_Zoezi_ID);
+      return {
+        clubId: club.Club_Zoezi_ID,
+        clubName: club.Club_name,
+        token,
+        tokenId: claims.id,
+        expiresAt: new Date(claims.expiresAt).toISOString(),
+        embedUrl: `${baseUrl}/?token=${token}&hideHeader=true`
+      };
+    });
+
+    res.locals.audit = { details: { count: tokens.length, tokenIds: tokens.map(t => t.tokenId) } };
+    res.json(tokens);
+  } catch (error) {
+    console.error('Error generating embed tokens:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Revoke an embed token by id (admin or super-admin login)
+ * DELETE /api/admin/embed-token/:tokenId
+ * Body: { clubId?, reason? }
+ * Headers: X-Admin-Key: your-admin-key
+ */
+app.delete('/api/admin/embed-token/:tokenId', auditRoute('embed-token.revoke'), requireAdminKeyOrSession, requireRole('super-admin'), async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+    const { clubId = null, reason = null } = req.body || {};
+    res.locals.audit = { clubId, details: { tokenId, reason } };
+
+    const supabase = getSupabase();
+    const { data, error } = await supabase
+      .from('Embed_Token_Revocations')
+      .upsert({
+        token_id: tokenId,
+        club_id: clubId !== null ? String(clubId) : null,
+        reason: reason !== null ? String(reason) : null,
+        revoked_at: new Date().toISOString()
+      }, { onConflict: 'token_id' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    // Takes effect here straight away; other instances pick it up on their next refresh
+    if (revokedEmbedTokens.ids) revokedEmbedTokens.ids.add(tokenId);
+
+    res.json({ revoked: true, revocation: data });
+  } catch (error) {
+    console.error('Error revoking embed token:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * List revoked embed tokens (admin or super-admin login)
+ * GET /api/admin/embed-token-revocations[?clubId=]
+ * Headers: X-Admin-Key: your-admin-key
+ */
+app.get('/api/admin/embed-token-revocations', auditRoute('embed-token-revocations.list'), requireAdminKeyOrSession, requireRole('super-admin'), async (req, res) => {
+  try {
+    const supabase = getSupabase();
+    let query = supabase
+      .from('Embed_Token_Revocations')
+      .select('*')
+      .order('revoked_at', { ascending: false });
+    if (req.query.clubId) query = query.eq('club_id', String(req.query.clubId));
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    res.json(data);
+  } catch (error) {
+    console.error('Error listing revoked embed tokens:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Verify a token (public - used by frontend)
+ * GET /api/verify-token?token=xxx
+ */
+app.get('/api/verify-token', rateLimitByIp(rateLimiters.verifyToken), async (req, res) => {
+  const { token } = req.query;
+  let result;
+  try {
+    result = await verifyEmbedToken(token);
+  } catch (error) {
+    console.error('Error verifying embed token:', error);
+    return res.status(500).json({ valid: false, error: 'Could not verify token' });
+  }
+
+  if (!result.valid) {
+    return res.status(401).json({ valid: false, error: result.error });
+  }
+
+  const limits = {
+    scopes: result.scopes,
+    sections: result.sections,
+    siteIds: result.siteIds,
+    maxLookbackDays: result.maxLookbackDays,
+    expiresAt: result.expiresAt
+  };
+
+  // Get club name for display
+  try {
+    const supabase = getSupabase();
+    const { data: club } = await supabase
+      .from('Clubs')
+      .select('Club_name, Timezone')
+      .eq('Club_Zoezi_ID', result.clubId)
+      .single();
+
+    res.json({
+      valid: true,
+      clubId: result.clubId,
+      clubName: club?.Club_name || 'Unknown',
+      timeZone: getClubTimeZone(club),
+      settings: await getClubSettings(result.clubId),
+      earliestDate: getEmbedEarliestDate(result, club),
+      ...limits
+    });
+  } catch {
+    res.json({ valid: true, clubId: result.clubId, ...limits });
+  }
+});
+
+/**
+ * Get analytics using secure embed token
+ * GET /api/embed/analytics?token=xxx&fromDate=xxx&toDate=xxx[&compare=previous|lastYear|custom][&benchmarks=true]
+ */
+app.get('/api/embed/analytics', auditRoute('embed.analytics', { query: true }), limitEmbedByIp, async (req, res) => {
+  try {
+    const { fromDate, toDate } = req.query;
+
+    // Verify token, sites and look-back window
+    const access = await getEmbedAccess(req, res);
+    if (!access) return;
+
+    if (!fromDate || !toDate) {
+      return res.status(400).json({ error: 'fromDate and toDate are required' });
+    }
+
+    const analytics = await buildAnalyticsWithComparison(access.club, getEmbedQuery(req.query, access.token));
+
+    // Optional cross-club benchmarks - the analytics still load if they fail
+    if (req.query.benchmarks === 'true' && canEmbedSection(access.token, 'benchmarks')) {
+      analytics.benchmarks = await buildBenchmarks(analytics, { includeCancelled: analytics.includeCancelled })
+        .catch(err => {
+          console.error('Error building benchmarks:', err.message);
+          return null;
+        });
+    }
+
+    res.json(applyEmbedSections(analytics, access.token));
+  } catch (error) {
+    console.error('Error fetching embed analytics:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Branded PDF report via embed token
+ * GET /api/embed/report.pdf?token=xxx&fromDate=xxx&toDate=xxx[&compare=...]
+ */
+app.get('/api/embed/report.pdf', auditRoute('embed.export.pdf', { query: true }), limitEmbedByIp, async (req, res) => {
+  try {
+    const { fromDate, toDate } = req.query;
+
+    const access = await getEmbedAccess(req, res, 'pdf');
+    if (!access) return;
+
+    if (!fromDate || !toDate) {
+      return res.status(400).json({ error: 'fromDate and toDate are required' });
+    }
+
+    const analytics = await buildAnalyticsWithComparison(access.club, getEmbedQuery(req.query, access.token));
+    sendAnalyticsPdf(res, applyEmbedSections(analytics, access.token));
+  } catch (error) {
+    console.error('Error rendering embed PDF report:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Full data export via embed token
+ * GET /api/embed/export?token=xxx&fromDate=xxx&toDate=xxx[&format=][&scope=][&classTypes=][&instructor=][&siteId=]
+ */
+app.get('/api/embed/export', auditRoute('embed.export', { query: true }), limitEmbedByIp, async (req, res) => {
+  try {
+    const access = await getEmbedAccess(req, res, 'export');
+    if (!access) return;
+
+    const invalid = validateExportQuery(req.query);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const query = getEmbedQuery(req.query, access.token);
+    const analytics = await buildAnalytics(access.club, req.query.fromDate, req.query.toDate, {
+      includeCancelled: query.includeCancelled === 'true',
+      filters: parseWorkoutFilters(query)
+    });
+    await sendAnalyticsExport(res, applyEmbedSections(analytics, access.token), req.query.format || 'csv', req.query.scope || 'classes');
+  } catch (error) {
+    console.error('Error exporting embed analytics:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Schedule recommendations via embed token
+ * GET /api/embed/recommendations?token=xxx&fromDate=xxx&toDate=xxx
+ */
+app.get('/api/embed/recommendations', auditRoute('embed.recommendations', { query: true }), limitEmbedByIp, async (req, res) => {
+  try {
+    const { fromDate, toDate } = req.query;
+
+    const access = await getEmbedAccess(req, res, 'recommendations');
+    if (!access) return;
+
+    if (!fromDate || !toDate) {
+      return res.status(400).json({ error: 'fromDate and toDate are required' });
+    }
+
+    res.json(await buildRecommendations(access.club, fromDate, toDate));
+  } catch (error) {
+    console.error('Error building embed recommendations:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Predicted fill for upcoming classes via embed token
+ * GET /api/embed/forecast?token=xxx[&weeks=1-4]
+ */
+app.get('/api/embed/forecast', auditRoute('embed.forecast', { query: true }), limitEmbedByIp, async (req, res) => {
+  try {
+    const access = await getEmbedAccess(req, res, 'forecast');
+    if (!access) return;
+
+    const weeks = parseForecastWeeks(req.query.weeks);
+    if (!weeks) {
+      return res.status(400).json({ error: `weeks must be between 1 and ${FORECAST_MAX_WEEKS}` });
+    }
+
+    const forecast = await buildForecast(access.club, weeks);
+    if (!canEmbedSection(access.token, 'instructors')) {
+      forecast.classes = forecast.classes.map(c => ({ ...c, staffs: [] }));
+    }
+    res.json(forecast);
+  } catch (error) {
+    console.error('Error building embed forecast:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Instructor drill-down via embed token
+ * GET /api/embed/instructor?token=xxx&staffId=xxx&fromDate=xxx&toDate=xxx
+ */
+app.get('/api/embed/instructor', auditRoute('embed.instructor', { query: true }), limitEmbedByIp, async (req, res) => {
+  try {
+    const { staffId, fromDate, toDate } = req.query;
+
+    const access = await getEmbedAccess(req, res, 'instructors');
+    if (!access) return;
+
+    if (!staffId || !fromDate || !toDate) {
+      return res.status(400).json({ error: 'staffId, fromDate and toDate are required' });
+    }
+
+    const instructor = await buildInstructor(access.club, String(staffId), fromDate, toDate);
+    if (!instructor) {
+      return res.status(404).json({ error: 'No classes for this instructor in the selected period' });
+    }
+
+    res.json(instructor);
+  } catch (error) {
+    console.error('Error building embed instructor drill-down:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Class type drill-down via embed token
+ * GET /api/embed/class-type?token=xxx&typeName=xxx&fromDate=xxx&toDate=xxx
+ */
+app.get('/api/embed/class-type', auditRoute('embed.class-type', { query: true }), limitEmbedByIp, async (req, res) => {
+  try {
+    const { typeName, fromDate, toDate } = req.query;
+
+    const access = await getEmbedAccess(req, res, 'classTypes');
+    if (!access) return;
+
+    if (!typeName || !fromDate || !toDate) {
+      return res.status(400).json({ error: 'typeName, fromDate and toDate are required' });
+    }
+
+    const classType = await buildClassType(access.club, String(typeName), fromDate, toDate);
+    if (!classType) {
+      return res.status(404).json({ error: 'No classes of this type in the selected period' });
+    }
+
+    // Without the instructors section, slots and classes don't name anyone
+    if (!canEmbedSection(access.token, 'instructors')) {
+      classType.instructors = [];
+      classType.slots = classType.slots.map(slot => ({
+        ...slot,
+        usualInstructor: null,
+        history: slot.history.map(h => ({ ...h, instructors: [] }))
+      }));
+    }
+
+    res.json(classType);
+  } catch (error) {
+    console.error('Error building embed class type drill-down:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Member engagement via embed token - only for tokens with the 'members' scope
+ * and section. Favourite classes need the classTypes section too.
+ * GET /api/embed/members?token=xxx&fromDate=xxx&toDate=xxx
+ */
+app.get('/api/embed/members', auditRoute('embed.members', { query: true }), limitEmbedByIp, async (req, res) => {
+  try {
+    const { fromDate, toDate } = req.query;
+
+    const access = await getEmbedAccess(req, res, 'members');
+    if (!access) return;
+    if (!access.token.scopes.includes('members')) {
+      return res.status(403).json({ error: 'Token does not allow member data' });
+    }
+
+    if (!fromDate || !toDate) {
+      return res.status(400).json({ error: 'fromDate and toDate are required' });
+    }
+
+    const members = await buildMembers(access.club, fromDate, toDate);
+    if (!canEmbedSection(access.token, 'classTypes')) {
+      const withoutTypes = m => ({ ...m, favouriteTypes: [] });
+      members.members = members.members.map(withoutTypes);
+      members.fading = members.fading.map(withoutTypes);
+    }
+    res.json(members);
+  } catch (error) {
+    console.error('Error fetching embed members:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =============================================================================
+// ADMIN ROUTES
+// =============================================================================
+
+/**
+ * Purge a club's cached Zoezi responses (admin, or a super-admin or account manager with access to the club)
+ * DELETE /api/admin/cache/:clubId
+ * Headers: X-Admin-Key: your-admin-key
+ */
+app.delete('/api/admin/cache/:clubId', auditRoute('cache.purge'), requireAdminKeyOrSession, requireRole('super-admin', 'account-manager'), requireClubAccess, async (req, res) => {
+  try {
+    const { clubId } = req.params;
+    const purged = await purgeClubCache(clubId);
+    res.json({ clubId, purged });
+  } catch (error) {
+    console.error('Error purging cache:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Snapshot store sync status per club (admin or super-admin login)
+ * GET /api/admin/snapshots
+ * Headers: X-Admin-Key: your-admin-key
+ */
+app.get('/api/admin/snapshots', auditRoute('snapshots.list'), requireAdminKeyOrSession, requireRole('super-admin'), (req, res) => {
+  if (!SNAPSHOT_ENABLED) {
+    return res.status(400).json({ error: 'Snapshot store not configured on server' });
+  }
+
+  res.json({
+    syncHour: SNAPSHOT_SYNC_HOUR,
+    clubs: Object.entries(snapshotStatus).map(([clubId, status]) => ({
+      clubId,
+      ...status,
+      running: snapshotSyncRunning.has(clubId)
+    }))
+  });
+});
+
+/**
+ * Trigger a snapshot sync or backfill (admin or super-admin login)
+ * POST /api/admin/snapshots/sync
+ * Body: { clubId?: "123", fromDate?: "2025-01-01", toDate?: "2025-12-31" }
+ * Without clubId all clubs are synced; without dates the sync continues from
+ * the end of the stored history. Runs in the background.
+ */
+app.post('/api/admin/snapshots/sync', auditRoute('snapshots.sync'), requireAdminKeyOrSession, requireRole('super-admin'), async (req, res) => {
+  try {
+    if (!SNAPSHOT_ENABLED) {
+      return res.status(400).json({ error: 'Snapshot store not configured on server' });
+    }
+
+    const { clubId, fromDate, toDate } = req.body || {};
+    res.locals.audit = { clubId, details: { fromDate, toDate } };
+    if ((fromDate && !toDate) || (!fromDate && toDate)) {
+      return res.status(400).json({ error: 'fromDate and toDate must be given together' });
+    }
+
+    if (!clubId) {
+      syncAllClubSnapshots().catch(err => console.error('Snapshot sync failed:', err.message));
+      return res.status(202).json({ started: 'all' });
+    }
+
+    const club = await getClub(clubId);
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found' });
+    }
+    if (snapshotSyncRunning.has(String(clubId))) {
+      return res.status(409).json({ error: `Sync already running for club ${clubId}` });
+    }
+
+    syncClubSnapshots(club, { fromDate, toDate }).catch(err => console.error('Snapshot sync failed:', err.message));
+    res.status(202).json({ started: String(clubId), fromDate: fromDate || null, toDate: toDate || null });
+  } catch (error) {
+    console.error('Error starting snapshot sync:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * List report schedules (admin or super-admin login)
+ * GET /api/admin/reports[?clubId=123]
+ * Headers: X-Admin-Key: your-admin-key
+ */
+app.get('/api/admin/reports', auditRoute('report-schedules.list'), requireAdminKeyOrSession, requireRole('super-admin'), async (req, res) => {
+  try {
+    const supabase = getSupabase();
+    let query = supabase
+      .from('Report_Schedules')
+      .select('*')
+      .order('created_at');
+    if (req.query.clubId) {
+      query = query.eq('Club_Zoezi_ID', req.query.clubId);
+    }
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    res.json(data || []);
+  } catch (error) {
+    console.error('Error listing report schedules:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Create a report schedule (admin or super-admin login)
+ * POST /api/admin/reports
+ * Body: { clubId, frequency: "weekly"|"monthly", recipients: [...], sections?: [...], compare?: "previous"|"lastYear"|null, enabled? }
+ */
+app.post('/api/admin/reports', auditRoute('report-schedule.create'), requireAdminKeyOrSession, requireRole('super-admin'), async (req, res) => {
+  try {
+    const { schedule, error: validationError } = validateReportSchedule(req.body || {});
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const club = await getClub(schedule.Club_Zoezi_ID);
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found' });
+    }
+
+    const supabase = getSupabase();
+    const { data, error } = await supabase
+      .from('Report_Schedules')
+      .insert(schedule)
+      .select()
+      .single();
+
+    if (error) throw error;
+    res.locals.audit = { clubId: data.Club_Zoezi_ID, details: { scheduleId: data.id } };
+
+    res.status(201).json(data);
+  } catch (error) {
+    console.error('Error creating report schedule:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Update a report schedule (admin or super-admin login)
+ * PUT /api/admin/reports/:id
+ * Body: any of the fields accepted by POST /api/admin/reports
+ */
+app.put('/api/admin/reports/:id', auditRoute('report-schedule.update'), requireAdminKeyOrSession, requireRole('super-admin'), async (req, res) => {
+  try {
+    const supabase = getSupabase();
+    const { data: existing, error: fetchError } = await supabase
+      .from('Report_Schedules')
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
+
+    if (fetchError && fetchError.code !== 'PGRST116') throw fetchError;
+    if (!existing) {
+      return res.status(404).json({ error: 'Report schedule not found' });
+    }
+    res.locals.audit = { clubId: existing.Club_Zoezi_ID, details: { scheduleId: existing.id, fields: Object.keys(req.body || {}) } };
+
+    const { schedule, error: validationError } = validateReportSchedule(req.body || {}, existing);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { data, error } = await supabase
+      .from('Report_Schedules')
+      .update(schedule)
+      .eq('id', req.params.id)
+      .select()
+      .single();
+
+    if (error) throw error;
 
-        <p class="mt-6 text-center text-xs text-gray-400">
-          Secure access for StrongSales administrators only
-        </p>
-      </div>
-    </body>
-    </html>
-  `);
+    res.json(data);
+  } catch (error) {
+    console.error('Error updating report schedule:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
 /**
- * Login handler
+ * Delete a report schedule (admin or super-admin login)
+ * DELETE /api/admin/reports/:id
  */
-app.post('/login', (req, res) => {
-  const { password } = req.body;
-
-  if (!ADMIN_PASSWORD) {
-    console.error('ADMIN_PASSWORD not configured');
-    return res.redirect('/login?error=1');
-  }
+app.delete('/api/admin/reports/:id', auditRoute('report-schedule.delete'), requireAdminKeyOrSession, requireRole('super-admin'), async (req, res) => {
+  try {
+    res.locals.audit = { details: { scheduleId: req.params.id } };
+    const supabase = getSupabase();
+    const { error } = await supabase
+      .from('Report_Schedules')
+      .delete()
+      .eq('id', req.params.id);
 
-  // Secure password comparison (timing-safe)
-  const passwordBuffer = Buffer.from(password || '');
-  const adminBuffer = Buffer.from(ADMIN_PASSWORD);
+    if (error) throw error;
 
-  // Check length first, then compare
-  if (passwordBuffer.length === adminBuffer.length &&
-      crypto.timingSafeEqual(passwordBuffer, adminBuffer)) {
-    req.session.isAdmin = true;
-    req.session.loginTime = Date.now();
-    return res.redirect('/');
+    res.json({ deleted: req.params.id });
+  } catch (error) {
+    console.error('Error deleting report schedule:', error);
+    res.status(500).json({ error: error.message });
   }
-
-  // Invalid password
-  res.redirect('/login?error=1');
 });
 
 /**
- * Logout handler
+ * Send a report now for its latest period (admin or super-admin login)
+ * POST /api/admin/reports/:id/send
+ * Doesn't change when the next scheduled report goes out. Honours REPORT_DRY_RUN_DIR.
  */
-app.post('/logout', (req, res) => {
-  req.session.destroy((err) => {
-    if (err) {
-      console.error('Logout error:', err);
-    }
-    res.redirect('/login');
-  });
-});
+app.post('/api/admin/reports/:id/send', auditRoute('report.send'), requireAdminKeyOrSession, requireRole('super-admin'), async (req, res) => {
+  try {
+    const supabase = getSupabase();
+    const { data: schedule, error } = await supabase
+      .from('Report_Schedules')
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
 
-app.get('/logout', (req, res) => {
-  req.session.destroy((err) => {
-    if (err) {
-      console.error('Logout error:', err);
+    if (error && error.code !== 'PGRST116') throw error;
+    if (!schedule) {
+      return res.status(404).json({ error: 'Report schedule not found' });
     }
-    res.redirect('/login');
-  });
-});
-
-// =============================================================================
-// API ROUTES
-// =============================================================================
+    res.locals.audit = { clubId: schedule.Club_Zoezi_ID, details: { scheduleId: schedule.id } };
 
-/**
- * Health check (public)
- */
-app.get('/api/health', (req, res) => {
-  res.json({
-    status: 'ok',
-    timestamp: new Date().toISOString(),
-    supabase_configured: !!SUPABASE_KEY,
-    auth_configured: !!ADMIN_PASSWORD
-  });
+    const [club, settings] = await Promise.all([getClub(schedule.Club_Zoezi_ID), getClubSettings(schedule.Club_Zoezi_ID)]);
+    const delivery = await runReport(schedule, getReportPeriod(schedule.frequency, new Date(), getClubTimeZone(club), settings.weekStart));
+    res.status(delivery.status === 'failed' ? 502 : 200).json(delivery);
+  } catch (error) {
+    console.error('Error sending report:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
 /**
- * Get list of available gyms from Supabase (protected)
+ * Report delivery history, newest first (admin or super-admin login)
+ * GET /api/admin/report-deliveries[?clubId=123][&scheduleId=1][&limit=50]
  */
-app.get('/api/gyms', isAuthenticated, async (req, res) => {
+app.get('/api/admin/report-deliveries', auditRoute('report-deliveries.list'), requireAdminKeyOrSession, requireRole('super-admin'), async (req, res) => {
   try {
+    const { clubId, scheduleId } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
     const supabase = getSupabase();
-    const { data, error } = await supabase
-      .from('Clubs')
-      .select('Club_Zoezi_ID, Club_name, Zoezi_Domain')
-      .order('Club_name');
+    let query = supabase
+      .from('Report_Deliveries')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+    if (clubId) query = query.eq('Club_Zoezi_ID', clubId);
+    if (scheduleId) query = query.eq('schedule_id', scheduleId);
+    const { data, error } = await query;
 
     if (error) throw error;
 
     res.json(data || []);
   } catch (error) {
-    console.error('Error fetching gyms:', error);
+    console.error('Error listing report deliveries:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * Fetch workout schedule for a gym
+ * Query the audit log, newest first (admin or super-admin login)
+ * GET /api/admin/audit-log
+ * Query: any of action, outcome, clubId, actorType, actorId, actorEmail,
+ *   from & to (YYYY-MM-DD, UTC, inclusive), limit (default 100, max 1000)
  */
-app.get('/api/schedule/:clubId', isAuthenticated, async (req, res) => {
+app.get('/api/admin/audit-log', requireAdminKeyOrSession, requireRole('super-admin'), async (req, res) => {
   try {
-    const { clubId } = req.params;
-    const { fromDate, toDate } = req.query;
-
-    if (!fromDate || !toDate) {
-      return res.status(400).json({ error: 'fromDate and toDate are required' });
+    const { action, outcome, clubId, actorType, actorId, actorEmail, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || AUDIT_LIMIT_DEFAULT, AUDIT_LIMIT_MAX);
+    if ([from, to].some(date => date && !/^\d{4}-\d{2}-\d{2}$/.test(date))) {
+      return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD)' });
     }
 
-    // Get club config from Supabase
     const supabase = getSupabase();
-    const { data: club, error } = await supabase
-      .from('Clubs')
+    let query = supabase
+      .from('Audit_Log')
       .select('*')
-      .eq('Club_Zoezi_ID', clubId)
-      .single();
+      .order('created_at', { ascending: false })
+      .limit(limit);
+    if (action) query = query.eq('action', action);
+    if (outcome) query = query.eq('outcome', outcome);
+    if (clubId) query = query.eq('club_id', clubId);
+    if (actorType) query = query.eq('actor_type', actorType);
+    if (actorId) query = query.eq('actor_id', actorId);
+    if (actorEmail) query = query.eq('actor_email', String(actorEmail).trim().toLowerCase());
+    if (from) query = query.gte('created_at', `${from}T00:00:00Z`);
+    if (to) query = query.lt('created_at', `${shiftDate(to, 1)}T00:00:00Z`);
+    const { data, error } = await query;
 
     if (error) throw error;
+
+    res.json(data || []);
+  } catch (error) {
+    console.error('Error querying audit log:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Rate limit counters and login lockouts on this server instance (admin or super-admin login)
+ * GET /api/admin/rate-limits
+ */
+app.get('/api/admin/rate-limits', requireAdminKeyOrSession, requireRole('super-admin'), (req, res) => {
+  res.json(getRateLimitStatus());
+});
+
+/**
+ * Lift a login lockout and forget the account's failed logins
+ * DELETE /api/admin/login-lockouts/:account (an email)
+ */
+app.delete('/api/admin/login-lockouts/:account', auditRoute('login-lockout.clear'), requireAdminKeyOrSession, requireRole('super-admin'), (req, res) => {
+  const account = String(req.params.account).trim().toLowerCase();
+  res.locals.audit = { details: { account } };
+  if (!loginFailures.delete(account)) {
+    return res.status(404).json({ error: 'No failed logins recorded for that account' });
+  }
+  res.json({ cleared: account });
+});
+
+/**
+ * Get a club's analytics settings, defaults filled in (admin or a dashboard user with access to the club)
+ * GET /api/admin/settings/:clubId
+ */
+app.get('/api/admin/settings/:clubId', auditRoute('settings.view'), requireAdminKeyOrSession, requireClubAccess, async (req, res) => {
+  try {
+    const club = await getClub(req.params.clubId);
     if (!club) {
       return res.status(404).json({ error: 'Club not found' });
     }
 
-    // Fetch workout schedule from Zoezi
-    const url = `https://${club.Zoezi_Domain}/api/schedule/workout/get/all?fromDate=${fromDate}&toDate=${toDate}&bookings=true`;
-    const workouts = await fetchZoeziApi(url, club.Zoezi_Api_Key);
-
-    res.json(workouts);
+    res.json({ clubId: club.Club_Zoezi_ID, ...(await getClubSettings(club.Club_Zoezi_ID)) });
   } catch (error) {
-    console.error('Error fetching schedule:', error);
+    console.error('Error fetching club settings:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * Get analytics for a gym's workout schedule
+ * Update a club's analytics settings (admin, or a super-admin or account manager with access to the club)
+ * PUT /api/admin/settings/:clubId
+ * Body: any of { openingHour, closingHour, thresholds: { excellent, good, average },
+ *   weekStart: "monday"|"sunday", defaultPreset: "week"|"month"|"quarter", currency, language: "en"|"sv" }
  */
-app.get('/api/analytics/:clubId', isAuthenticated, async (req, res) => {
+app.put('/api/admin/settings/:clubId', auditRoute('settings.update'), requireAdminKeyOrSession, requireRole('super-admin', 'account-manager'), requireClubAccess, async (req, res) => {
   try {
-    const { clubId } = req.params;
-    const { fromDate, toDate } = req.query;
+    res.locals.audit = { details: { fields: Object.keys(req.body || {}) } };
+    const club = await getClub(req.params.clubId);
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found' });
+    }
 
-    if (!fromDate || !toDate) {
-      return res.status(400).json({ error: 'fromDate and toDate are required' });
+    const existing = await getClubSettings(club.Club_Zoezi_ID);
+    const { settings, error: validationError } = validateClubSettings(req.body || {}, existing);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
 
-    // Get club config from Supabase
     const supabase = getSupabase();
-    const { data: club, error } = await supabase
-      .from('Clubs')
-      .select('*')
-      .eq('Club_Zoezi_ID', clubId)
+    const { data, error } = await supabase
+      .from('Club_Settings')
+      .upsert(toClubSettingsRow(club.Club_Zoezi_ID, settings))
+      .select()
       .single();
 
     if (error) throw error;
-    if (!club) {
-      return res.status(404).json({ error: 'Club not found' });
-    }
-
-    // Fetch workout schedule and sites from Zoezi in parallel
-    const workoutUrl = `https://${club.Zoezi_Domain}/api/schedule/workout/get/all?fromDate=${fromDate}&toDate=${toDate}&bookings=true`;
-    const sitesUrl = `https://${club.Zoezi_Domain}/api/site/get/all`;
-
-    const [workouts, sites] = await Promise.all([
-      fetchZoeziApi(workoutUrl, club.Zoezi_Api_Key),
-      fetchZoeziApi(sitesUrl, club.Zoezi_Api_Key).catch(() => [])
-    ]);
-
-    // Create site lookup map
-    const siteMap = {};
-    (sites || []).forEach(s => {
-      if (s && s.id) siteMap[s.id] = s.name;
-    });
-
-    // Process analytics
-    const analytics = processAnalytics(workouts);
-    analytics.club = {
-      id: club.Club_Zoezi_ID,
-      name: club.Club_name,
-      domain: club.Zoezi_Domain
-    };
-    analytics.dateRange = { fromDate, toDate };
-
-    // Include sites list (only if more than 1)
-    const sitesList = (sites || []).filter(s => s && !s.removed).map(s => ({ id: s.id, name: s.name }));
-    analytics.sites = sitesList.length > 1 ? sitesList : [];
-
-    // Include simplified raw workouts for client-side filtering
-    analytics.rawWorkouts = workouts.map(w => {
-      // Extract user IDs from bookings
-      const userIds = [];
-      if (w.bookings && Array.isArray(w.bookings)) {
-        w.bookings.forEach(booking => {
-          const userId = booking.user_id || booking.userId || booking.user?.id;
-          if (userId) userIds.push(userId);
-        });
-      }
-      return {
-        id: w.id,
-        typeName: w.workoutType?.name || 'Unknown',
-        typeColor: w.workoutType?.color || '#667eea',
-        startTime: w.startTime,
-        space: w.space || 0,
-        numBooked: w.numBooked || 0,
-        siteId: w.site_id || w.siteId || null,
-        siteName: siteMap[w.site_id] || siteMap[w.siteId] || null,
-        staffs: (w.staffs || []).map(s => ({
-          name: `${s.firstname || ''} ${s.lastname || ''}`.trim() || 'Unknown',
-          imagekey: s.imagekey
-        })),
-        userIds: userIds
-      };
-    });
 
-    res.json(analytics);
+    res.json({ clubId: club.Club_Zoezi_ID, ...toClubSettings(data) });
   } catch (error) {
-    console.error('Error fetching analytics:', error);
+    console.error('Error updating club settings:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 // =============================================================================
-// SECURE EMBED ROUTES
+// USER MANAGEMENT ROUTES
 // =============================================================================
+// Super-admins only: X-Admin-Key, or a super-admin's dashboard session.
 
 /**
- * Generate embed token for a club (admin only)
- * POST /api/admin/embed-token
- * Body: { clubId: "123" }
- * Headers: X-Admin-Key: your-admin-key
+ * Fetch a Dashboard_Users row for the routes below, or send 404 and return null
  */
-app.post('/api/admin/embed-token', requireAdminKey, async (req, res) => {
-  try {
-    const { clubId } = req.body;
+async function loadUserForRoute(req, res) {
+  const supabase = getSupabase();
+  const { data, error } = await supabase
+    .from('Dashboard_Users')
+    .select('*')
+    .eq('id', req.params.id)
+    .maybeSingle();
 
-    if (!clubId) {
-      return res.status(400).json({ error: 'clubId is required' });
-    }
+  if (error) throw error;
+  if (!data) {
+    res.status(404).json({ error: 'User not found' });
+  }
+  return data;
+}
 
-    // Verify club exists
+/**
+ * List dashboard users
+ * GET /api/admin/users[?clubId=]
+ */
+app.get('/api/admin/users', auditRoute('users.list'), requireAdminKeyOrSession, requireRole('super-admin'), async (req, res) => {
+  try {
     const supabase = getSupabase();
-    const { data: club, error } = await supabase
-      .from('Clubs')
-      .select('Club_Zoezi_ID, Club_name')
-      .eq('Club_Zoezi_ID', clubId)
-      .single();
-
-    if (error || !club) {
-      return res.status(404).json({ error: 'Club not found' });
-    }
-
-    const token = generateEmbedToken(clubId);
+    const { data, error } = await supabase
+      .from('Dashboard_Users')
+      .select('*')
+      .order('email');
 
-    // Use https in production (Replit runs behind proxy so req.protocol is http)
-    const protocol = req.get('x-forwarded-proto') || req.protocol;
+    if (error) throw error;
 
-    res.json({
-      token,
-      clubId: club.Club_Zoezi_ID,
-      clubName: club.Club_name,
-      embedUrl: `${protocol}://${req.get('host')}/?token=${token}&hideHeader=true`
-    });
+    let users = (data || []).map(toDashboardUser);
+    if (req.query.clubId) {
+      users = users.filter(user => canAccessClub(user, req.query.clubId));
+    }
+    res.json(users);
   } catch (error) {
-    console.error('Error generating embed token:', error);
+    console.error('Error fetching users:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * List all clubs with their embed tokens (admin only)
- * GET /api/admin/embed-tokens
- * Headers: X-Admin-Key: your-admin-key
+ * Create a user and mail them an invite link
+ * POST /api/admin/users
+ * Body: { email, name?, role: "super-admin"|"account-manager"|"read-only", clubIds: [] }
  */
-app.get('/api/admin/embed-tokens', requireAdminKey, async (req, res) => {
+app.post('/api/admin/users', auditRoute('user.create'), requireAdminKeyOrSession, requireRole('super-admin'), async (req, res) => {
   try {
+    const { user, error: validationError } = validateDashboardUser(req.body || {});
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
     const supabase = getSupabase();
-    const { data: clubs, error } = await supabase
-      .from('Clubs')
-      .select('Club_Zoezi_ID, Club_name')
-      .order('Club_name');
+    const { data, error } = await supabase
+      .from('Dashboard_Users')
+      .insert({ ...user, active: true })
+      .select()
+      .single();
 
+    if (error && error.code === '23505') {
+      return res.status(409).json({ error: 'A user with that email already exists' });
+    }
     if (error) throw error;
 
-    // Use https in production (Replit runs behind proxy)
-    const protocol = req.get('x-forwarded-proto') || req.protocol;
-    const baseUrl = `${protocol}://${req.get('host')}`;
-    const tokens = clubs.map(club => {
-      const token = generateEmbedToken(club.Club_Zoezi_ID);
-      return {
-        clubId: club.Club_Zoezi_ID,
-        clubName: club.Club_name,
-        token,
-        embedUrl: `${baseUrl}/?token=${token}&hideHeader=true`
-      };
-    });
+    res.locals.audit = { details: { userId: data.id, email: data.email, role: data.role, clubIds: data.club_ids } };
+    const invite = await issueAccountLink(data, 'invite', getRequestBaseUrl(req));
 
-    res.json(tokens);
+    res.status(201).json({ ...toDashboardUser(data), invite });
   } catch (error) {
-    console.error('Error generating embed tokens:', error);
+    console.error('Error creating user:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * Verify a token (public - used by frontend)
- * GET /api/verify-token?token=xxx
+ * Update a user
+ * PUT /api/admin/users/:id
+ * Body: any of { email, name, role, clubIds, active }
  */
-app.get('/api/verify-token', async (req, res) => {
-  const { token } = req.query;
-  const result = verifyEmbedToken(token);
+app.put('/api/admin/users/:id', auditRoute('user.update'), requireAdminKeyOrSession, requireRole('super-admin'), async (req, res) => {
+  try {
+    const existing = await loadUserForRoute(req, res);
+    if (!existing) return;
 
-  if (!result.valid) {
-    return res.status(401).json({ valid: false, error: result.error });
-  }
+    const { user, error: validationError } = validateDashboardUser(req.body || {}, existing);
+    res.locals.audit = { details: { userId: existing.id, email: existing.email, changes: user || {} } };
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    if (String(existing.id) === String(req.user.id) &&
+        ((user.role && user.role !== 'super-admin') || user.active === false)) {
+      return res.status(400).json({ error: 'You cannot demote or deactivate your own account' });
+    }
 
-  // Get club name for display
-  try {
     const supabase = getSupabase();
-    const { data: club } = await supabase
-      .from('Clubs')
-      .select('Club_name')
-      .eq('Club_Zoezi_ID', result.clubId)
+    const { data, error } = await supabase
+      .from('Dashboard_Users')
+      .update(user)
+      .eq('id', existing.id)
+      .select()
       .single();
 
-    res.json({
-      valid: true,
-      clubId: result.clubId,
-      clubName: club?.Club_name || 'Unknown'
-    });
-  } catch {
-    res.json({ valid: true, clubId: result.clubId });
+    if (error && error.code === '23505') {
+      return res.status(409).json({ error: 'A user with that email already exists' });
+    }
+    if (error) throw error;
+    dashboardUserCache.delete(String(existing.id));
+
+    res.json(toDashboardUser(data));
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * Get analytics using secure embed token
- * GET /api/embed/analytics?token=xxx&fromDate=xxx&toDate=xxx
+ * Delete a user
+ * DELETE /api/admin/users/:id
  */
-app.get('/api/embed/analytics', async (req, res) => {
+app.delete('/api/admin/users/:id', auditRoute('user.delete'), requireAdminKeyOrSession, requireRole('super-admin'), async (req, res) => {
   try {
-    const { token, fromDate, toDate } = req.query;
-
-    // Verify token
-    const tokenResult = verifyEmbedToken(token);
-    if (!tokenResult.valid) {
-      return res.status(401).json({ error: tokenResult.error });
-    }
-
-    const clubId = tokenResult.clubId;
-
-    if (!fromDate || !toDate) {
-      return res.status(400).json({ error: 'fromDate and toDate are required' });
+    res.locals.audit = { details: { userId: req.params.id } };
+    if (String(req.params.id) === String(req.user.id)) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
     }
 
-    // Get club config from Supabase
     const supabase = getSupabase();
-    const { data: club, error } = await supabase
-      .from('Clubs')
-      .select('*')
-      .eq('Club_Zoezi_ID', clubId)
-      .single();
+    const { error } = await supabase
+      .from('Dashboard_Users')
+      .delete()
+      .eq('id', req.params.id);
 
     if (error) throw error;
-    if (!club) {
-      return res.status(404).json({ error: 'Club not found' });
-    }
+    dashboardUserCache.delete(String(req.params.id));
 
-    // Fetch workout schedule and sites from Zoezi in parallel
-    const workoutUrl = `https://${club.Zoezi_Domain}/api/schedule/workout/get/all?fromDate=${fromDate}&toDate=${toDate}&bookings=true`;
-    const sitesUrl = `https://${club.Zoezi_Domain}/api/site/get/all`;
+    res.json({ deleted: req.params.id });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const [workouts, sites] = await Promise.all([
-      fetchZoeziApi(workoutUrl, club.Zoezi_Api_Key),
-      fetchZoeziApi(sitesUrl, club.Zoezi_Api_Key).catch(() => [])
-    ]);
+/**
+ * Mail a new invite (users who haven't set a password) or password reset link
+ * POST /api/admin/users/:id/invite
+ * POST /api/admin/users/:id/reset
+ */
+app.post('/api/admin/users/:id/:kind(invite|reset)', auditRoute('user.send-link'), requireAdminKeyOrSession, requireRole('super-admin'), async (req, res) => {
+  try {
+    const existing = await loadUserForRoute(req, res);
+    if (!existing) return;
+    res.locals.audit = { details: { userId: existing.id, email: existing.email, kind: req.params.kind } };
 
-    // Create site lookup map
-    const siteMap = {};
-    (sites || []).forEach(s => {
-      if (s && s.id) siteMap[s.id] = s.name;
-    });
+    if (existing.active === false) {
+      return res.status(400).json({ error: 'User is deactivated' });
+    }
+    if (req.params.kind === 'invite' && existing.password_hash) {
+      return res.status(400).json({ error: 'User has already set a password - send a reset link instead' });
+    }
 
-    // Process analytics
-    const analytics = processAnalytics(workouts);
-    analytics.club = {
-      id: club.Club_Zoezi_ID,
-      name: club.Club_name,
-      domain: club.Zoezi_Domain
-    };
-    analytics.dateRange = { fromDate, toDate };
-
-    // Include sites list (only if more than 1)
-    const sitesList = (sites || []).filter(s => s && !s.removed).map(s => ({ id: s.id, name: s.name }));
-    analytics.sites = sitesList.length > 1 ? sitesList : [];
-
-    // Include simplified raw workouts for client-side filtering
-    analytics.rawWorkouts = workouts.map(w => {
-      // Extract user IDs from bookings
-      const userIds = [];
-      if (w.bookings && Array.isArray(w.bookings)) {
-        w.bookings.forEach(booking => {
-          const userId = booking.user_id || booking.userId || booking.user?.id;
-          if (userId) userIds.push(userId);
-        });
-      }
-      return {
-        id: w.id,
-        typeName: w.workoutType?.name || 'Unknown',
-        typeColor: w.workoutType?.color || '#667eea',
-        startTime: w.startTime,
-        space: w.space || 0,
-        numBooked: w.numBooked || 0,
-        siteId: w.site_id || w.siteId || null,
-        siteName: siteMap[w.site_id] || siteMap[w.siteId] || null,
-        staffs: (w.staffs || []).map(s => ({
-          name: `${s.firstname || ''} ${s.lastname || ''}`.trim() || 'Unknown',
-          imagekey: s.imagekey
-        })),
-        userIds: userIds
-      };
-    });
+    const link = await issueAccountLink(existing, req.params.kind, getRequestBaseUrl(req));
 
-    res.json(analytics);
+    res.json({ userId: existing.id, [req.params.kind]: link });
   } catch (error) {
-    console.error('Error fetching embed analytics:', error);
+    console.error('Error sending account link:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -888,14 +6572,14 @@ app.get('/api/embed/analytics', async (req, res) => {
 /**
  * Main dashboard - requires authentication OR valid embed token
  */
-app.get('/', (req, res, next) => {
+app.get('/', async (req, res, next) => {
   // Allow access with valid embed token
-  if (hasValidEmbedToken(req)) {
+  if (await hasValidEmbedToken(req)) {
     return res.sendFile(path.join(__dirname, 'public', 'index.html'));
   }
 
   // Otherwise require authentication
-  if (req.session && req.session.isAdmin) {
+  if (await getSessionUser(req).catch(() => null)) {
     return res.sendFile(path.join(__dirname, 'public', 'index.html'));
   }
 
@@ -906,19 +6590,19 @@ app.get('/', (req, res, next) => {
 /**
  * Catch-all for other routes - check authentication
  */
-app.get('*', (req, res) => {
+app.get('*', async (req, res) => {
   // Allow static files
   if (req.path.match(/\.(png|jpg|jpeg|gif|svg|css|js|ico)$/i)) {
     return res.sendFile(path.join(__dirname, 'public', req.path));
   }
 
   // Check for embed token
-  if (hasValidEmbedToken(req)) {
+  if (await hasValidEmbedToken(req)) {
     return res.sendFile(path.join(__dirname, 'public', 'index.html'));
   }
 
   // Require authentication
-  if (req.session && req.session.isAdmin) {
+  if (await getSessionUser(req).catch(() => null)) {
     return res.sendFile(path.join(__dirname, 'public', 'index.html'));
   }
 
@@ -928,9 +6612,30 @@ app.get('*', (req, res) => {
 // =============================================================================
 // START SERVER
 // =============================================================================
+// Only when run directly - tests require this file for its helpers
+
+if (require.main === module) {
+  if (SNAPSHOT_ENABLED) {
+    scheduleNightlySnapshotSync();
+  } else if (SNAPSHOT_DIR) {
+    console.error('Snapshot store disabled: set SNAPSHOT_SECRET, different from EMBED_SECRET, to pseudonymise member ids');
+  }
+
+  if (CACHE_DIR && !CACHE_DISK_ENABLED) {
+    console.error('On-disk cache disabled: set CACHE_SECRET to encrypt cached Zoezi responses');
+  }
+
+  // Drop expired rate limit windows and old login failures
+  setInterval(pruneRateLimits, 10 * 60 * 1000).unref();
+
+  // Check for due email reports every hour
+  if (SUPABASE_KEY) {
+    setInterval(runDueReports, 60 * 60 * 1000).unref();
+    setTimeout(runDueReports, 60 * 1000).unref();
+  }
 
-app.listen(PORT, () => {
-  console.log(`
+  app.listen(PORT, () => {
+    console.log(`
 ╔════════════════════════════════════════════════════════════╗
 ║         GROUP TRAINING ANALYTICS DASHBOARD                 ║
 ╠════════════════════════════════════════════════════════════╣
@@ -938,7 +6643,41 @@ app.listen(PORT, () => {
 ║  Supabase: ${SUPABASE_KEY ? 'Configured ✓' : 'Not configured - add SUPABASE_API_KEY'}            ║
 ║  Embed Security: ${EMBED_SECRET ? 'Configured ✓' : 'Not configured - add EMBED_SECRET'}          ║
 ║  Admin API: ${ADMIN_KEY ? 'Configured ✓' : 'Not configured - add ADMIN_KEY'}                ║
-║  Admin Login: ${ADMIN_PASSWORD ? 'Configured ✓' : 'Not configured - add ADMIN_PASSWORD'}          ║
 ╚════════════════════════════════════════════════════════════╝
-  `);
-});
+    `);
+  });
+}
+
+module.exports = {
+  app,
+  getZonedInstant,
+  getZonedTime,
+  getZonedToday,
+  parseWallTime,
+  getReportPeriod,
+  getNextReportAttempt,
+  getCacheTtl,
+  cachedFetch,
+  purgeClubCache,
+  getBenchmarkPeriod,
+  compareWithCohort,
+  pseudonymiseWorkouts,
+  getNextSnapshotSyncAt,
+  toSnapshotFact,
+  fromSnapshotFact,
+  validateClubSettings,
+  toClubSettings,
+  toClubSettingsRow,
+  generateEmbedToken,
+  verifyEmbedToken,
+  processAnalytics,
+  compareAnalytics,
+  getComparisonRange,
+  mapRawWorkouts,
+  hideWorkoutMembers,
+  applyEmbedSections,
+  getEmbedQuery,
+  getExportSections,
+  renderExportCsv,
+  renderAnalyticsPdf
+};
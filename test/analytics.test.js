@@ -0,0 +1,96 @@
+/**
+ * The analytics route: dates are validated, and the comparison period carries
+ * its class rows without member ids or names. Supabase and Zoezi are faked.
+ */
+process.env.SUPABASE_API_KEY = 'test-supabase-key';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const PASSWORD = 'correct horse battery';
+const salt = crypto.randomBytes(16);
+const passwordHash = `scrypt$${salt.toString('base64')}$${crypto.scryptSync(PASSWORD, salt, 64).toString('base64')}`;
+const user = { id: 1, email: 'manager@example.com', role: 'account-manager', club_ids: ['123'], active: true, password_hash: passwordHash };
+const club = { Club_Zoezi_ID: '123', Club_name: 'Test Gym', Zoezi_Domain: 'test.zoezi.se' };
+
+// One class on the first day of whichever range is asked for
+const workouts = fromDate => [{
+  id: fromDate,
+  startTime: `${fromDate} 07:00:00`,
+  space: 10,
+  numBooked: 2,
+  workoutType: { name: 'Yoga' },
+  staffs: [],
+  bookings: [
+    { user_id: 501, present: true },
+    { user_id: 502, name: 'Sam Svensson', present: false }
+  ]
+}];
+
+const realFetch = globalThis.fetch;
+globalThis.fetch = async (url, init = {}) => {
+  const target = new URL(String(url));
+  if (target.hostname === '127.0.0.1') return realFetch(url, init);
+  if ((init.method || 'GET') !== 'GET') return new Response(null, { status: 204 });
+
+  let rows = [];
+  if (target.hostname === club.Zoezi_Domain) {
+    rows = /workout/.test(target.pathname) ? workouts(target.searchParams.get('fromDate')) : [];
+  } else if (target.pathname.endsWith('/Dashboard_Users')) {
+    rows = [user];
+  } else if (target.pathname.endsWith('/Clubs')) {
+    rows = [club];
+  }
+  const single = (new Headers(init.headers).get('Accept') || '').includes('vnd.pgrst.object');
+  return new Response(JSON.stringify(single ? rows[0] || null : rows), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json' }
+  });
+};
+
+const { app } = require('../index.js');
+
+let server;
+let base;
+let cookie;
+test.before(() => new Promise(resolve => {
+  server = app.listen(0, '127.0.0.1', async () => {
+    base = `http://127.0.0.1:${server.address().port}`;
+    const response = await fetch(`${base}/login`, {
+      method: 'POST',
+      redirect: 'manual',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ email: user.email, password: PASSWORD }).toString()
+    });
+    cookie = (response.headers.get('set-cookie') || '').split(';')[0];
+    resolve();
+  });
+}));
+test.after(() => server.close());
+
+async function analytics(query) {
+  const response = await fetch(`${base}/api/analytics/123?${query}`, { headers: { Cookie: cookie } });
+  return { status: response.status, body: await response.json() };
+}
+
+test('dates that are not YYYY-MM-DD are refused', async () => {
+  assert.deepEqual(await analytics('fromDate=20150101&toDate=2026-06-30'), {
+    status: 400, body: { error: 'Invalid fromDate - expected YYYY-MM-DD' }
+  });
+  assert.equal((await analytics('fromDate=2026-06-01&toDate=2026-06-31')).status, 400);
+  assert.equal((await analytics('fromDate=2026-06-01&fromDate=2026-05-01&toDate=2026-06-30')).status, 400);
+  assert.deepEqual(await analytics('fromDate=2026-06-30&toDate=2026-06-01'), { status: 400, body: { error: 'Invalid date range' } });
+});
+
+test('the comparison has no member ids or names', async () => {
+  const { status, body } = await analytics('fromDate=2026-06-01&toDate=2026-06-30&compare=previous');
+  assert.equal(status, 200);
+  assert.ok(body.rawWorkouts.some(w => w.userIds.length > 0));
+  assert.equal(body.comparison.rawWorkouts, undefined);
+  assert.ok(body.comparison.workouts.length > 0);
+  body.comparison.workouts.forEach(w => {
+    assert.equal(w.userIds, undefined);
+    assert.ok(w.noShows.every(noShow => noShow.userId === null && noShow.name === null));
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * Booked-vs-attended analytics from the bookings' present flags. Queue places
+ * are in the bookings list too, but they are not bookings.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { processAnalytics, mapRawWorkouts } = require('../index.js');
+
+const NOW = '2026-06-30 12:00:00';
+
+function workout(id, bookings) {
+  return {
+    id,
+    startTime: `2026-06-0${id} 07:00:00`,
+    space: 2,
+    numBooked: bookings.filter(b => !b.inQueue).length,
+    numQueue: bookings.filter(b => b.inQueue).length,
+    workoutType: { name: 'Spinning' },
+    staffs: [],
+    bookings
+  };
+}
+
+const workouts = [
+  workout(1, [
+    { user_id: 1, name: 'Alva', present: true },
+    { user_id: 2, name: 'Bo', present: false },
+    { user_id: 3, name: 'Cleo', inQueue: true }
+  ]),
+  workout(2, [
+    { user_id: 2, name: 'Bo', present: false },
+    { user_id: 1, name: 'Alva', present: true },
+    { user_id: 3, name: 'Cleo', inQueue: true }
+  ])
+];
+
+test('queue places are not counted as bookings or participants', () => {
+  const analytics = processAnalytics(workouts, { timeZone: 'Europe/Stockholm' });
+  assert.equal(analytics.summary.uniqueParticipants, 2);
+  assert.deepEqual(analytics.topNoShows.map(m => [m.name, m.bookings, m.noShows]), [['Bo', 2, 2]]);
+});
+
+test('class rows list the booked members only', () => {
+  assert.deepEqual(mapRawWorkouts(workouts, {}, NOW).map(w => w.userIds), [[1, 2], [2, 1]]);
+});
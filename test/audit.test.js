@@ -0,0 +1,63 @@
+/**
+ * Audit log entries for admin reads and throttled embed requests. Supabase is
+ * replaced with fake tables, and the Audit_Log inserts are collected.
+ */
+process.env.EMBED_SECRET = 'test-embed-secret';
+process.env.SUPABASE_API_KEY = 'test-supabase-key';
+process.env.ADMIN_KEY = 'test-admin-key';
+process.env.RATE_LIMIT_EMBED_IP = '2';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const realFetch = globalThis.fetch;
+const audits = [];
+globalThis.fetch = async (url, init = {}) => {
+  const target = String(url);
+  if (target.startsWith('http://127.0.0.1')) return realFetch(url, init);
+  if ((init.method || 'GET') !== 'GET') {
+    if (/\/rest\/v1\/Audit_Log/.test(target)) audits.push(JSON.parse(init.body));
+    return new Response(null, { status: 201 });
+  }
+  return new Response('[]', { status: 200, headers: { 'Content-Type': 'application/json' } });
+};
+
+const { app, generateEmbedToken } = require('../index.js');
+
+let server;
+let base;
+test.before(() => new Promise(resolve => {
+  server = app.listen(0, '127.0.0.1', () => {
+    base = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+test.after(() => server.close());
+
+// Audit entries are written once the response has finished
+const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+const entry = action => [].concat(...audits).find(row => row.action === action);
+
+test('admin reads are logged as lists', async () => {
+  for (const path of ['embed-tokens', 'embed-token-revocations', 'users', 'reports', 'report-deliveries', 'snapshots']) {
+    await fetch(`${base}/api/admin/${path}`, { headers: { 'X-Admin-Key': 'test-admin-key' } });
+  }
+  await settle();
+  for (const action of ['embed-tokens.list', 'embed-token-revocations.list', 'users.list', 'report-schedules.list', 'report-deliveries.list', 'snapshots.list']) {
+    assert.ok(entry(action), action);
+  }
+  assert.equal(entry('embed-tokens.create'), undefined);
+});
+
+test('throttled embed requests are logged with 429', async () => {
+  const { token } = generateEmbedToken('123');
+  const url = `${base}/api/embed/forecast?token=${encodeURIComponent(token)}`;
+  const statuses = [];
+  for (let i = 0; i < 3; i++) statuses.push((await fetch(url)).status);
+  assert.equal(statuses[2], 429);
+
+  await settle();
+  const throttled = [].concat(...audits).filter(row => row.action === 'embed.forecast' && row.status === 429);
+  assert.equal(throttled.length, 1);
+  assert.equal(throttled[0].outcome, 'failure');
+});
@@ -0,0 +1,75 @@
+/**
+ * Benchmark periods and positions. Cohorts load every club, so date ranges are
+ * snapped to calendar months, and only a coarse position is ever published
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getBenchmarkPeriod } = require('../index.js');
+
+test('a range is benchmarked over the calendar months it touches', () => {
+  assert.deepEqual(getBenchmarkPeriod('2026-03-10', '2026-03-20'), { fromDate: '2026-03-01', toDate: '2026-03-31' });
+  assert.deepEqual(getBenchmarkPeriod('2026-01-25', '2026-02-03'), { fromDate: '2026-01-01', toDate: '2026-02-28' });
+  assert.deepEqual(getBenchmarkPeriod('2023-12-31', '2024-02-01'), { fromDate: '2023-12-01', toDate: '2024-02-29' });
+});
+
+test('ranges within the same months share one period', () => {
+  const periods = [['2026-05-01', '2026-05-31'], ['2026-05-02', '2026-05-30'], ['2026-05-17', '2026-05-17']]
+    .map(([from, to]) => JSON.stringify(getBenchmarkPeriod(from, to)));
+  assert.equal(new Set(periods).size, 1);
+});
+
+test('a benchmark period covers at most the last twelve months', () => {
+  assert.deepEqual(getBenchmarkPeriod('2024-06-15', '2026-10-18'), { fromDate: '2025-11-01', toDate: '2026-10-31' });
+  assert.deepEqual(getBenchmarkPeriod('2025-11-30', '2026-10-01'), { fromDate: '2025-11-01', toDate: '2026-10-31' });
+});
+
+const { compareWithCohort } = require('../index.js');
+
+// Ten other gyms with fill rates 10, 20, .. 100 and the requesting gym at 55
+function cohortFixture() {
+  const cohort = Array.from({ length: 10 }, (_, i) => ({
+    clubId: String(i + 1),
+    fillRate: (i + 1) * 10,
+    emptyRate: 50 - (i + 1) * 4,
+    byType: { spinning: (i + 1) * 10 }
+  }));
+  cohort.push({ clubId: '99', fillRate: 55, emptyRate: 0, byType: { spinning: 55 } });
+  return cohort;
+}
+
+function analyticsFixture(fillRate, emptyRate = 20) {
+  return {
+    club: { id: 99 },
+    summary: { totalClasses: 40, overallAttendanceRate: String(fillRate), emptyRate: String(emptyRate) },
+    byType: [{ name: 'Spinning', classes: 20, attendanceRate: String(fillRate) }]
+  };
+}
+
+test('benchmarks publish only a position, never cohort values', () => {
+  const result = compareWithCohort(analyticsFixture(55), cohortFixture());
+  assert.deepEqual(result.overallAttendanceRate, { cohortSize: 10, position: 'aboveMedian' });
+  assert.deepEqual(result.byType.Spinning, { cohortSize: 10, position: 'aboveMedian' });
+  for (const band of [result.overallAttendanceRate, result.emptyRate, result.byType.Spinning]) {
+    assert.deepEqual(Object.keys(band).sort(), ['cohortSize', 'position']);
+  }
+});
+
+test('the requesting gym is left out of its cohort', () => {
+  const result = compareWithCohort(analyticsFixture(95), cohortFixture());
+  assert.equal(result.overallAttendanceRate.cohortSize, 10);
+  assert.equal(result.overallAttendanceRate.position, 'top25');
+  assert.equal(compareWithCohort(analyticsFixture(5), cohortFixture()).overallAttendanceRate.position, 'bottom25');
+});
+
+test('lower is better for the empty-class rate', () => {
+  assert.equal(compareWithCohort(analyticsFixture(55, 0), cohortFixture()).emptyRate.position, 'top25');
+  assert.equal(compareWithCohort(analyticsFixture(55, 45), cohortFixture()).emptyRate.position, 'bottom25');
+});
+
+test('nothing is published for a cohort under the minimum size', () => {
+  const small = cohortFixture().slice(5);
+  const result = compareWithCohort(analyticsFixture(55), small);
+  assert.equal(result.overallAttendanceRate, null);
+  assert.equal(result.emptyRate, null);
+  assert.deepEqual(result.byType, {});
+});
@@ -0,0 +1,55 @@
+/**
+ * Zoezi response cache: lifetimes by date range, and the on-disk store, which
+ * must never hold member names in plain text
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CACHE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'zoezi-cache-'));
+process.env.CACHE_DIR = CACHE_DIR;
+process.env.CACHE_SECRET = 'test-cache-secret';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getCacheTtl, cachedFetch, purgeClubCache } = require('../index.js');
+
+test.after(() => fs.rmSync(CACHE_DIR, { recursive: true, force: true }));
+
+const TZ = 'Europe/Stockholm';
+// 2026-06-15 12:00 in Stockholm
+const NOW = Date.parse('2026-06-15T10:00:00Z');
+
+test('ranges reaching today or the future get the short lifetime', () => {
+  assert.equal(getCacheTtl('2026-06-15', TZ, NOW), 300 * 1000);
+  assert.equal(getCacheTtl('2026-07-01', TZ, NOW), 300 * 1000);
+  assert.equal(getCacheTtl(undefined, TZ, NOW), 300 * 1000);
+});
+
+test('the last week is refreshed hourly, since attendance is marked late', () => {
+  assert.equal(getCacheTtl('2026-06-14', TZ, NOW), 60 * 60 * 1000);
+  assert.equal(getCacheTtl('2026-06-08', TZ, NOW), 60 * 60 * 1000);
+  assert.equal(getCacheTtl('2026-06-07', TZ, NOW), Infinity);
+});
+
+async function waitForFiles(count) {
+  for (let i = 0; i < 50; i++) {
+    const files = fs.readdirSync(CACHE_DIR);
+    if (files.length >= count) return files;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error('cache file was not written');
+}
+
+test('cache files are encrypted and purged with the memory entries', async () => {
+  const workouts = [{ id: 1, bookings: [{ user_id: 42, name: 'Sam Svensson' }] }];
+  assert.deepEqual(await cachedFetch('7', '7|schedule|a', Infinity, async () => workouts), workouts);
+
+  const [file] = await waitForFiles(1);
+  const contents = fs.readFileSync(path.join(CACHE_DIR, file), 'utf8');
+  assert.doesNotMatch(contents, /Sam Svensson/);
+  assert.doesNotMatch(contents, /user_id/);
+
+  assert.equal(await purgeClubCache('7'), 2);
+  assert.deepEqual(fs.readdirSync(CACHE_DIR), []);
+});
@@ -0,0 +1,80 @@
+/**
+ * Period-over-period comparison: resolving the comparison range and the deltas
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getComparisonRange, compareAnalytics } = require('../index.js');
+
+test('no comparison without a mode', () => {
+  assert.equal(getComparisonRange('2026-03-01', '2026-03-31'), null);
+  assert.equal(getComparisonRange('2026-03-01', '2026-03-31', 'none'), null);
+});
+
+test('previous is the same number of days directly before', () => {
+  assert.deepEqual(getComparisonRange('2026-03-01', '2026-03-31', 'previous'), { fromDate: '2026-01-29', toDate: '2026-02-28' });
+  assert.deepEqual(getComparisonRange('2026-03-29', '2026-03-29', 'previous'), { fromDate: '2026-03-28', toDate: '2026-03-28' });
+});
+
+test('lastYear is the same dates a year earlier', () => {
+  assert.deepEqual(getComparisonRange('2026-03-01', '2026-03-31', 'lastYear'), { fromDate: '2025-03-01', toDate: '2025-03-31' });
+});
+
+test('custom uses compareFrom and compareTo', () => {
+  assert.deepEqual(getComparisonRange('2026-03-01', '2026-03-31', 'custom', '2025-10-01', '2025-10-31'), { fromDate: '2025-10-01', toDate: '2025-10-31' });
+  assert.deepEqual(getComparisonRange('2026-03-01', '2026-03-31', 'custom', '2025-10-01', '2025-10-01'), { fromDate: '2025-10-01', toDate: '2025-10-01' });
+});
+
+test('custom ranges must be real dates, from before to', () => {
+  const invalid = [
+    ['2025-10-31', '2025-10-01'],
+    ['2025-02-30', '2025-03-10'],
+    ['2025-10-1', '2025-10-31'],
+    ['yesterday', '2025-10-31'],
+    ['2025-10-01', '2025-10-31T00:00'],
+    [['2025-10-01', '2025-10-02'], '2025-10-31']
+  ];
+  invalid.forEach(([from, to]) => {
+    assert.deepEqual(getComparisonRange('2026-03-01', '2026-03-31', 'custom', from, to), { error: 'Invalid comparison range' }, `${from} to ${to}`);
+  });
+  assert.deepEqual(getComparisonRange('2026-03-01', '2026-03-31', 'custom', '2025-10-01'), { error: 'compareFrom and compareTo are required for custom comparison' });
+});
+
+test('invalid main ranges and modes are refused', () => {
+  assert.deepEqual(getComparisonRange('2026-03-31', '2026-03-01', 'previous'), { error: 'Invalid date range' });
+  assert.deepEqual(getComparisonRange('2026-03-01', '2026-03-31', 'nextYear'), { error: 'Unknown compare mode: nextYear' });
+});
+
+test('compareAnalytics: rates change in points, counts also in percent', () => {
+  const current = {
+    summary: { totalClasses: 12, overallAttendanceRate: '75.0', showUpRate: null },
+    byType: [{ name: 'Yoga', classes: 8, attendanceRate: '80.0', totalBooked: 64 }, { name: 'Spinning', classes: 4, attendanceRate: '65.0', totalBooked: 26 }],
+    byDay: [{ dayIndex: 1, classes: 12, attendanceRate: '75.0', avgAttendance: '7.5' }],
+    byHour: [{ hour: 7, classes: 12, attendanceRate: '75.0', avgAttendance: '7.5' }],
+    byInstructor: []
+  };
+  const previous = {
+    summary: { totalClasses: 10, overallAttendanceRate: '70.5', showUpRate: null },
+    byType: [{ name: 'Yoga', classes: 10, attendanceRate: '70.0', totalBooked: 70 }],
+    byDay: [{ dayIndex: 1, classes: 10, attendanceRate: '70.5', avgAttendance: '7.0' }],
+    byHour: [],
+    byInstructor: []
+  };
+
+  const comparison = compareAnalytics(current, previous);
+  assert.deepEqual(comparison.summary.totalClasses, { previous: 10, change: 2, changePercent: 20 });
+  assert.deepEqual(comparison.summary.overallAttendanceRate, { previous: '70.5', change: 4.5 });
+  assert.deepEqual(comparison.summary.showUpRate, { previous: 0, change: 0 });
+  assert.deepEqual(comparison.byType, {
+    Yoga: { previousRate: '70.0', rateChange: 10, classesChange: -2, bookedChange: -6 },
+    Spinning: null
+  });
+  assert.deepEqual(comparison.byDay, { 1: { previousRate: '70.5', rateChange: 4.5, classesChange: 2, bookedChange: 0.5 } });
+  assert.deepEqual(comparison.byHour, { 7: null });
+  assert.deepEqual(comparison.byInstructor, {});
+});
+
+test('compareAnalytics: no percent change from zero', () => {
+  const empty = { summary: { totalClasses: 0 }, byType: [], byDay: [], byHour: [], byInstructor: [] };
+  const comparison = compareAnalytics({ ...empty, summary: { totalClasses: 5 } }, empty);
+  assert.deepEqual(comparison.summary.totalClasses, { previous: 0, change: 5, changePercent: null });
+});
@@ -0,0 +1,67 @@
+/**
+ * Embed request dates are checked before the range and look-back caps, so a
+ * date the caps can't read is refused rather than let through. Supabase is
+ * replaced with a fake revocation list and Clubs table.
+ */
+process.env.EMBED_SECRET = 'test-embed-secret';
+process.env.SUPABASE_API_KEY = 'test-supabase-key';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const realFetch = globalThis.fetch;
+const club = { Club_Zoezi_ID: '123', Club_name: 'Test Gym', Zoezi_Domain: 'test.zoezi.se' };
+globalThis.fetch = async (url, init = {}) => {
+  const target = String(url);
+  if (target.startsWith('http://127.0.0.1')) return realFetch(url, init);
+  if ((init.method || 'GET') !== 'GET') return new Response(null, { status: 201 });
+  const body = /\/rest\/v1\/Clubs/.test(target) ? club : [];
+  return new Response(JSON.stringify(body), { status: 200, headers: { 'Content-Type': 'application/json' } });
+};
+
+const { app, generateEmbedToken } = require('../index.js');
+
+let server;
+let base;
+test.before(() => new Promise(resolve => {
+  server = app.listen(0, '127.0.0.1', () => {
+    base = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+test.after(() => server.close());
+
+async function embed(query, options) {
+  const { token } = generateEmbedToken('123', options);
+  const response = await fetch(`${base}/api/embed/analytics?token=${encodeURIComponent(token)}&${query}`);
+  return { status: response.status, body: await response.json() };
+}
+
+test('dates that are not YYYY-MM-DD are refused before the range cap', async () => {
+  assert.deepEqual(await embed('fromDate=20150101&toDate=2026-06-30'), {
+    status: 400, body: { error: 'Invalid fromDate - expected YYYY-MM-DD' }
+  });
+  assert.equal((await embed('fromDate=2026-06-01&toDate=2026-06-31')).status, 400);
+  assert.equal((await embed('fromDate=2026-06-01&toDate=2026-06-30&compare=custom&compareFrom=2015/01/01&compareTo=2026-05-31')).status, 400);
+  assert.equal((await embed('fromDate=2026-06-01&fromDate=2015-01-01&toDate=2026-06-30')).status, 400);
+});
+
+test('reversed ranges and comparison errors are refused', async () => {
+  assert.deepEqual(await embed('fromDate=2026-06-30&toDate=2026-06-01'), { status: 400, body: { error: 'Invalid date range' } });
+  assert.deepEqual(await embed('fromDate=2026-06-01&toDate=2026-06-30&compare=custom'), {
+    status: 400, body: { error: 'compareFrom and compareTo are required for custom comparison' }
+  });
+});
+
+test('long ranges and ranges past the look-back window are still capped', async () => {
+  assert.equal((await embed('fromDate=2015-01-01&toDate=2026-06-30')).status, 400);
+  assert.equal((await embed('fromDate=2026-06-01&toDate=2026-06-30&compare=custom&compareFrom=2015-01-01&compareTo=2026-05-31')).status, 400);
+  assert.equal((await embed('fromDate=2020-01-01&toDate=2020-01-31', { maxLookbackDays: 30 })).status, 403);
+});
+
+test('member engagement needs the members section as well as the scope', async () => {
+  const { token } = generateEmbedToken('123', { scopes: ['members'], sections: ['trend', 'noShows'] });
+  const response = await fetch(`${base}/api/embed/members?token=${encodeURIComponent(token)}&fromDate=2026-06-01&toDate=2026-06-30`);
+  assert.equal(response.status, 403);
+  assert.deepEqual(await response.json(), { error: 'Token does not allow members' });
+});
@@ -0,0 +1,126 @@
+/**
+ * Embed tokens limited to some dashboard sections: whatever a token leaves out
+ * must be gone from the analytics response and the exports, not just hidden.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { processAnalytics, compareAnalytics, mapRawWorkouts, hideWorkoutMembers, applyEmbedSections, getEmbedQuery, getExportSections } = require('../index.js');
+
+// The club's wall-clock time for mapRawWorkouts - every class below has started
+const NOW = '2026-06-30 12:00:00';
+
+function workout(id, startTime, extra = {}) {
+  return {
+    id,
+    startTime,
+    space: 10,
+    numBooked: 2,
+    numQueue: 1,
+    workoutType: { name: id % 2 ? 'Yoga' : 'Spinning' },
+    staffs: [{ id: 7, firstname: 'Anna', lastname: 'Berg' }],
+    bookings: [
+      { user_id: 100 + id, present: true },
+      { user_id: 200 + id, name: 'Sam Svensson', present: false }
+    ],
+    ...extra
+  };
+}
+
+// Analytics shaped like buildAnalyticsWithComparison's output
+function buildFixture() {
+  const workouts = [
+    workout(1, '2026-06-01 07:00:00'),
+    workout(2, '2026-06-01 07:00:00'),
+    workout(3, '2026-06-08 07:00:00'),
+    workout(4, '2026-06-08 07:00:00', { status: 'Cancelled' }),
+    workout(5, '2026-06-15 18:00:00')
+  ];
+  const build = () => ({
+    ...processAnalytics(workouts, { timeZone: 'Europe/Stockholm' }),
+    club: { id: '1', name: 'Test Gym' },
+    dateRange: { fromDate: '2026-06-01', toDate: '2026-06-30' },
+    timeZone: 'Europe/Stockholm',
+    recommendations: [],
+    rawWorkouts: mapRawWorkouts(workouts, {}, NOW)
+  });
+  const analytics = build();
+  const previous = build();
+  analytics.comparison = { ...compareAnalytics(analytics, previous), workouts: hideWorkoutMembers(previous.rawWorkouts) };
+  return analytics;
+}
+
+const token = (sections, scopes = []) => ({ valid: true, clubId: '1', sections, scopes });
+
+test('a token without sections keeps every section', () => {
+  const analytics = applyEmbedSections(buildFixture(), token(null));
+  assert.ok(analytics.dailyTrend.length > 0);
+  assert.ok(analytics.byType.length > 0);
+  assert.ok(analytics.byDayHour);
+  assert.ok(analytics.overflowSlots.length > 0);
+  assert.ok(analytics.cancellations);
+  assert.ok(analytics.retention);
+  assert.ok(analytics.byInstructor.length > 0);
+  assert.equal(analytics.rawWorkouts.length, 5);
+});
+
+test('sections a token leaves out are removed from the response', () => {
+  const analytics = applyEmbedSections(buildFixture(), token(['noShows']));
+
+  assert.deepEqual(analytics.dailyTrend, []);
+  assert.deepEqual(analytics.byType, []);
+  assert.deepEqual(analytics.byDay, []);
+  assert.deepEqual(analytics.byHour, []);
+  assert.equal(analytics.byDayHour, null);
+  assert.deepEqual(analytics.overflowSlots, []);
+  assert.equal(analytics.cancellations, null);
+  assert.equal(analytics.retention, null);
+  assert.deepEqual(analytics.byInstructor, []);
+  assert.equal(analytics.recommendations, undefined);
+
+  assert.deepEqual(analytics.comparison.byType, {});
+  assert.deepEqual(analytics.comparison.byDay, {});
+  assert.deepEqual(analytics.comparison.byHour, {});
+  assert.deepEqual(analytics.comparison.byInstructor, {});
+  assert.deepEqual(analytics.sections, ['noShows']);
+});
+
+test('class rows lose instructors and cancelled classes with their sections', () => {
+  const analytics = applyEmbedSections(buildFixture(), token(['trend']));
+  assert.equal(analytics.rawWorkouts.length, 4);
+  assert.ok(analytics.rawWorkouts.every(w => w.status === 'ok' && w.staffs.length === 0));
+  assert.equal(analytics.comparison.workouts.length, 4);
+
+  const kept = applyEmbedSections(buildFixture(), token(['trend', 'instructors', 'cancellations']));
+  assert.equal(kept.rawWorkouts.length, 5);
+  assert.ok(kept.rawWorkouts.every(w => w.staffs.length === 1));
+});
+
+test('member names and ids need both the noShows section and the members scope', () => {
+  const countsOnly = applyEmbedSections(buildFixture(), token(['noShows']));
+  assert.deepEqual(countsOnly.topNoShows, []);
+  assert.deepEqual(countsOnly.rawWorkouts[0].noShows, [{ userId: null, name: null }]);
+  assert.ok(countsOnly.rawWorkouts.every(w => !('userIds' in w)));
+
+  const named = applyEmbedSections(buildFixture(), token(['noShows'], ['members']));
+  assert.ok(named.topNoShows.length > 0);
+  assert.deepEqual(named.rawWorkouts[0].noShows, [{ userId: 201, name: 'Sam Svensson' }]);
+  assert.deepEqual(named.rawWorkouts[0].userIds, [101, 201]);
+
+  const noSection = applyEmbedSections(buildFixture(), token(['trend'], ['members']));
+  assert.deepEqual(noSection.topNoShows, []);
+});
+
+test('exports leave out the tables of sections a token leaves out', () => {
+  const analytics = applyEmbedSections(buildFixture(), token(['trend', 'weekdays']));
+  const names = getExportSections(analytics, 'workouts').map(section => section.name);
+  assert.deepEqual(names, ['summary', 'byDay', 'dailyTrend', 'workouts']);
+
+  const all = getExportSections(buildFixture(), 'workouts').map(section => section.name);
+  assert.deepEqual(all, ['summary', 'byType', 'byDay', 'byHour', 'byInstructor', 'dailyTrend', 'workouts']);
+});
+
+test('embed queries drop the instructor filter and cancelled classes with their sections', () => {
+  const query = { fromDate: '2026-06-01', toDate: '2026-06-30', instructor: '7', includeCancelled: 'true' };
+  assert.deepEqual(getEmbedQuery(query, token(['trend'])), { ...query, instructor: undefined, includeCancelled: undefined });
+  assert.deepEqual(getEmbedQuery(query, token(null)), query);
+});
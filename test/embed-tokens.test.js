@@ -0,0 +1,127 @@
+/**
+ * Embed token signing and verification. The revocation list is read from
+ * Supabase, so fetch is replaced with a fake Embed_Token_Revocations table.
+ */
+process.env.EMBED_SECRET = 'test-embed-secret';
+process.env.SUPABASE_API_KEY = 'test-supabase-key';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const DAY = 24 * 60 * 60 * 1000;
+// Old-format tokens are refused ten days from now
+const LEGACY_CUTOFF = new Date(Date.now() + 10 * DAY).toISOString().slice(0, 10);
+process.env.EMBED_LEGACY_CUTOFF = LEGACY_CUTOFF;
+
+// Read once and then cached, so every revocation is listed up front
+const revokedIds = ['revoked-id'];
+globalThis.fetch = async url => {
+  assert.match(String(url), /\/rest\/v1\/Embed_Token_Revocations/);
+  return new Response(JSON.stringify(revokedIds.map(id => ({ token_id: id }))), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json' }
+  });
+};
+
+const { generateEmbedToken, verifyEmbedToken, getZonedInstant } = require('../index.js');
+
+// Sign claims the way generateEmbedToken does, to build tokens it wouldn't issue
+function signClaims(claims) {
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  const signature = crypto.createHmac('sha256', process.env.EMBED_SECRET).update(payload).digest('base64url');
+  return `${payload}.${signature}`;
+}
+
+function signLegacy(clubId, timestamp, scopes = '') {
+  const payload = scopes ? `${clubId}.${timestamp}.${scopes}` : `${clubId}.${timestamp}`;
+  const signature = crypto.createHmac('sha256', process.env.EMBED_SECRET).update(payload).digest('base64url');
+  const part = value => Buffer.from(String(value)).toString('base64url');
+  return [part(clubId), part(timestamp), ...(scopes ? [part(scopes)] : []), signature].join('.');
+}
+
+test('a generated token verifies with its claims', async () => {
+  const { token, claims } = generateEmbedToken(123, {
+    scopes: ['members'],
+    sections: ['trend', 'hours'],
+    siteIds: [4, 5],
+    maxLookbackDays: 90,
+    expiresInDays: 30
+  });
+
+  const result = await verifyEmbedToken(token);
+  assert.deepEqual(result, {
+    valid: true,
+    clubId: '123',
+    tokenId: claims.id,
+    expiresAt: new Date(claims.expiresAt).toISOString(),
+    scopes: ['members'],
+    sections: ['trend', 'hours'],
+    siteIds: ['4', '5'],
+    maxLookbackDays: 90
+  });
+  assert.ok(Math.abs(claims.expiresAt - claims.issuedAt - 30 * DAY) < 1000);
+});
+
+test('a token without options has full access for a year', async () => {
+  const { token, claims } = generateEmbedToken('7');
+  const result = await verifyEmbedToken(token);
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.scopes, []);
+  assert.equal(result.sections, null);
+  assert.equal(result.siteIds, null);
+  assert.equal(claims.expiresAt - claims.issuedAt, 365 * DAY);
+});
+
+test('tampered, malformed and missing tokens are refused', async () => {
+  const { token } = generateEmbedToken('123');
+  const [payload, signature] = token.split('.');
+  const otherClub = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), clubId: '999' })).toString('base64url');
+
+  assert.deepEqual(await verifyEmbedToken(`${otherClub}.${signature}`), { valid: false, error: 'Invalid signature' });
+  assert.deepEqual(await verifyEmbedToken(`${payload}.${signature.slice(1)}`), { valid: false, error: 'Token decode failed' });
+  assert.deepEqual(await verifyEmbedToken('not-a-token'), { valid: false, error: 'Invalid token format' });
+  assert.deepEqual(await verifyEmbedToken(''), { valid: false, error: 'No token provided' });
+});
+
+test('expired and revoked tokens are refused but keep their club and id', async () => {
+  const expired = signClaims({ id: 'old-id', clubId: '123', issuedAt: Date.now() - 2 * DAY, expiresAt: Date.now() - DAY });
+  assert.deepEqual(await verifyEmbedToken(expired), { valid: false, error: 'Token expired', clubId: '123', tokenId: 'old-id' });
+
+  const revoked = signClaims({ id: 'revoked-id', clubId: '123', issuedAt: Date.now(), expiresAt: Date.now() + DAY });
+  assert.deepEqual(await verifyEmbedToken(revoked), { valid: false, error: 'Token revoked', clubId: '123', tokenId: 'revoked-id' });
+});
+
+const legacyId = token => `legacy-${crypto.createHash('sha256').update(token).digest('base64url').slice(0, 12)}`;
+const revokedLegacy = signLegacy('123', Date.now() - 2 * DAY);
+revokedIds.push(legacyId(revokedLegacy));
+
+test('old-format tokens get an id derived from the token', async () => {
+  const token = signLegacy('123', Date.now() - DAY, 'members');
+  const result = await verifyEmbedToken(token);
+  assert.equal(result.valid, true);
+  assert.equal(result.clubId, '123');
+  assert.equal(result.tokenId, legacyId(token));
+  assert.deepEqual(result.scopes, ['members']);
+  assert.equal(result.sections, null);
+});
+
+test('old-format tokens can be revoked by that id', async () => {
+  assert.deepEqual(await verifyEmbedToken(revokedLegacy), {
+    valid: false, error: 'Token revoked', clubId: '123', tokenId: legacyId(revokedLegacy)
+  });
+});
+
+test('old-format tokens expire a year after they were issued or at the cutoff, whichever is first', async () => {
+  const cutoff = getZonedInstant(`${LEGACY_CUTOFF} 23:59:59`, 'Europe/Stockholm');
+  const recent = await verifyEmbedToken(signLegacy('123', Date.now() - DAY));
+  assert.equal(recent.expiresAt, new Date(cutoff).toISOString());
+
+  const issued = Date.now() - 360 * DAY;
+  const older = await verifyEmbedToken(signLegacy('123', issued));
+  assert.equal(older.expiresAt, new Date(issued + 365 * DAY).toISOString());
+
+  const expired = await verifyEmbedToken(signLegacy('123', Date.now() - 366 * DAY));
+  assert.equal(expired.valid, false);
+  assert.equal(expired.error, 'Token expired');
+});
@@ -0,0 +1,118 @@
+/**
+ * Data export tables: scopes, values and CSV rendering
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { processAnalytics, mapRawWorkouts, getExportSections, renderExportCsv } = require('../index.js');
+
+function workout(id, startTime, extra = {}) {
+  return {
+    id,
+    startTime,
+    space: 10,
+    numBooked: 3,
+    numQueue: 0,
+    workoutType: { name: 'Yoga, Flow' },
+    staffs: [{ id: 7, firstname: 'Anna', lastname: 'Berg' }],
+    bookings: [
+      { user_id: 1, present: true },
+      { user_id: 2, name: 'Sam Svensson', present: false },
+      { user_id: 3, name: 'Kim Karlsson', present: false }
+    ],
+    ...extra
+  };
+}
+
+function buildAnalytics(includeCancelled = false) {
+  const workouts = [
+    workout(2, '2026-06-02 18:00:00'),
+    workout(1, '2026-06-01 07:00:00'),
+    workout(3, '2026-06-03 07:00:00', { status: 'Cancelled', bookings: [] })
+  ];
+  return {
+    ...processAnalytics(workouts, { includeCancelled, timeZone: 'Europe/Stockholm' }),
+    includeCancelled,
+    rawWorkouts: mapRawWorkouts(workouts, {}, '2026-06-30 12:00:00')
+  };
+}
+
+const rowsOf = (sections, name) => {
+  const section = sections.find(s => s.name === name);
+  return section.rows.map(row => Object.fromEntries(section.headers.map((h, i) => [h, row[i]])));
+};
+
+test('each scope adds to the one before it', () => {
+  const names = scope => getExportSections(buildAnalytics(), scope).map(s => s.name);
+  assert.deepEqual(names('summary'), ['summary']);
+  assert.deepEqual(names('classes'), ['summary', 'byType', 'byDay', 'byHour', 'byInstructor', 'dailyTrend']);
+  assert.deepEqual(names('workouts'), [...names('classes'), 'workouts']);
+});
+
+test('rates are exported as numbers', () => {
+  const sections = getExportSections(buildAnalytics(), 'classes');
+  const summary = Object.fromEntries(sections[0].rows);
+  assert.equal(summary['Fill Rate %'], 30);
+  assert.equal(summary['Total Classes'], 2);
+  assert.equal(summary['No-shows'], 4);
+
+  const [yoga] = rowsOf(sections, 'byType');
+  assert.equal(yoga['Class Type'], 'Yoga, Flow');
+  assert.equal(yoga['Avg per Class'], 3);
+  assert.equal(yoga['Show-up Rate %'], 33.3);
+});
+
+test('class rows are sorted by start time, with no-show counts rather than members', () => {
+  const workouts = rowsOf(getExportSections(buildAnalytics(), 'workouts'), 'workouts');
+  assert.deepEqual(workouts.map(w => w['Workout ID']), [1, 2]);
+  assert.deepEqual(workouts[0], {
+    'Workout ID': 1,
+    Date: '2026-06-01',
+    Time: '07:00',
+    'Class Type': 'Yoga, Flow',
+    Instructors: 'Anna Berg',
+    Facility: null,
+    Status: 'ok',
+    Capacity: 10,
+    Booked: 3,
+    Queued: 0,
+    'Fill Rate %': 30,
+    'Attendance Registered': 'yes',
+    Attended: 1,
+    'No-shows': 2
+  });
+});
+
+test('cancelled classes are only exported when included', () => {
+  const ids = analytics => rowsOf(getExportSections(analytics, 'workouts'), 'workouts').map(w => w['Workout ID']);
+  assert.deepEqual(ids(buildAnalytics()), [1, 2]);
+  assert.deepEqual(ids(buildAnalytics(true)), [1, 2, 3]);
+  const cancelled = rowsOf(getExportSections(buildAnalytics(true), 'workouts'), 'workouts')[2];
+  assert.equal(cancelled.Status, 'cancelled');
+  assert.equal(cancelled['No-shows'], null);
+});
+
+test('CSV cells with commas or quotes are quoted', () => {
+  const csv = renderExportCsv([['Gym', 'The "Best" Gym']], [{ name: 'byType', headers: ['Class Type', 'Classes'], rows: [['Yoga, Flow', 2], [null, 0]] }]);
+  assert.equal(csv, [
+    'Group Training Analytics Export',
+    'Gym,"The ""Best"" Gym"',
+    '',
+    'byType',
+    'Class Type,Classes',
+    '"Yoga, Flow",2',
+    ',0',
+    ''
+  ].join('\n'));
+});
+
+test('CSV text a spreadsheet would run as a formula gets a leading quote', () => {
+  const rows = [['=HYPERLINK("http://x")', 1], ['+46 Spin', 2], ['-Core', 3], ['@SUM(A1)', 4], ['Yoga', -5]];
+  const csv = renderExportCsv([], [{ name: 'byType', headers: ['Class Type', 'Change %'], rows }]);
+  assert.deepEqual(csv.split('\n').slice(4, 9), [
+    '"\'=HYPERLINK(""http://x"")",1',
+    "'+46 Spin,2",
+    "'-Core,3",
+    "'@SUM(A1),4",
+    'Yoga,-5'
+  ]);
+});
@@ -0,0 +1,50 @@
+/**
+ * PDF reports leave out the sections an embed token leaves out, and only start
+ * a new page for the sections that are drawn
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { processAnalytics, renderAnalyticsPdf } = require('../index.js');
+
+function workout(id, startTime) {
+  return {
+    id,
+    startTime,
+    space: 10,
+    numBooked: 4,
+    workoutType: { name: 'Yoga' },
+    staffs: [{ id: 7, firstname: 'Anna', lastname: 'Berg' }],
+    bookings: []
+  };
+}
+
+function buildAnalytics(sections) {
+  return {
+    ...processAnalytics([workout(1, '2026-06-01 07:00:00'), workout(2, '2026-06-08 18:00:00')], { timeZone: 'Europe/Stockholm' }),
+    club: { id: '1', name: 'Test Gym' },
+    dateRange: { fromDate: '2026-06-01', toDate: '2026-06-30' },
+    sections
+  };
+}
+
+// Page objects in the finished PDF
+function countPages(doc) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('error', reject);
+    doc.on('end', () => resolve((Buffer.concat(chunks).toString('latin1').match(/\/Type \/Page\b/g) || []).length));
+  });
+}
+
+test('the instructor table needs the instructors section', async () => {
+  const analytics = buildAnalytics(['trend']);
+  assert.ok(analytics.byInstructor.length > 0);
+  assert.equal(await countPages(renderAnalyticsPdf(analytics)), 1);
+  assert.equal(await countPages(renderAnalyticsPdf(buildAnalytics(['trend', 'instructors']))), 2);
+});
+
+test('without the trend the tables follow the KPIs on the first page', async () => {
+  assert.equal(await countPages(renderAnalyticsPdf(buildAnalytics(['classTypes']))), 1);
+  assert.equal(await countPages(renderAnalyticsPdf(buildAnalytics(null))), 2);
+});
@@ -0,0 +1,30 @@
+/**
+ * Live member ids are pseudonymised without the snapshot store too, and never
+ * with the embed token secret
+ */
+const crypto = require('crypto');
+process.env.EMBED_SECRET = 'test-embed-secret';
+process.env.SNAPSHOT_SECRET = 'test-embed-secret';
+delete process.env.SNAPSHOT_DIR;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { pseudonymiseWorkouts } = require('../index.js');
+
+const workout = {
+  id: 1,
+  startTime: '2026-06-01 07:00:00',
+  bookings: [{ user_id: 501, name: 'Sam Svensson', present: true }]
+};
+
+test('member ids are pseudonymised without the snapshot store', () => {
+  const [live] = pseudonymiseWorkouts('1', [workout]);
+  assert.match(live.bookings[0].user_id, /^[0-9a-f]{16}$/);
+  assert.deepEqual(pseudonymiseWorkouts('1', [workout]), [live]);
+});
+
+test('a snapshot secret equal to the embed secret is not used', () => {
+  const [live] = pseudonymiseWorkouts('1', [workout]);
+  const withEmbedSecret = crypto.createHmac('sha256', 'test-embed-secret').update('1:501').digest('hex').slice(0, 16);
+  assert.notEqual(live.bookings[0].user_id, withEmbedSecret);
+});
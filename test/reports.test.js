@@ -0,0 +1,28 @@
+/**
+ * Scheduled report retries: a doubling delay between attempts, and a last attempt
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getNextReportAttempt } = require('../index.js');
+
+const HOUR = 60 * 60 * 1000;
+const NOW = new Date('2026-06-01T12:00:00Z');
+// Failed attempts, newest first, the latest `hoursAgo` before NOW
+const failures = (count, hoursAgo) => Array.from({ length: count }, (_, i) => ({
+  created_at: new Date(NOW.getTime() - (hoursAgo + i) * HOUR).toISOString()
+}));
+
+test('a period without failures gets its first attempt', () => {
+  assert.deepEqual(getNextReportAttempt([], NOW), { attempt: 1, final: false });
+});
+
+test('each retry waits twice as long as the one before', () => {
+  assert.deepEqual(getNextReportAttempt(failures(1, 1), NOW), { attempt: 2, final: false });
+  assert.equal(getNextReportAttempt(failures(2, 1), NOW), null);
+  assert.deepEqual(getNextReportAttempt(failures(2, 2), NOW), { attempt: 3, final: false });
+  assert.equal(getNextReportAttempt(failures(4, 7), NOW), null);
+});
+
+test('the fifth attempt is the last', () => {
+  assert.deepEqual(getNextReportAttempt(failures(4, 8), NOW), { attempt: 5, final: true });
+});
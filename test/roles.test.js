@@ -0,0 +1,90 @@
+/**
+ * Roles on the dashboard API: read-only users see analytics but no member data
+ * or exports, and admin routes need a session with the right role. Supabase is
+ * replaced with a fake Dashboard_Users and Clubs table.
+ */
+process.env.SUPABASE_API_KEY = 'test-supabase-key';
+process.env.ADMIN_KEY = 'test-admin-key';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const PASSWORD = 'correct horse battery';
+const salt = crypto.randomBytes(16);
+const passwordHash = `scrypt$${salt.toString('base64')}$${crypto.scryptSync(PASSWORD, salt, 64).toString('base64')}`;
+const users = [
+  { id: 1, email: 'reader@example.com', role: 'read-only', club_ids: ['123'], active: true, password_hash: passwordHash },
+  { id: 2, email: 'manager@example.com', role: 'account-manager', club_ids: ['123'], active: true, password_hash: passwordHash }
+];
+
+const realFetch = globalThis.fetch;
+globalThis.fetch = async (url, init = {}) => {
+  const target = new URL(String(url));
+  if (target.hostname === '127.0.0.1') return realFetch(url, init);
+  if ((init.method || 'GET') !== 'GET') return new Response(null, { status: 204 });
+
+  let rows = [];
+  if (target.pathname.endsWith('/Dashboard_Users')) {
+    const [column, value] = [...target.searchParams].find(([key]) => key === 'email' || key === 'id') || [];
+    rows = users.filter(user => column && `eq.${user[column]}` === value);
+  }
+  const headers = new Headers(init.headers);
+  const single = (headers.get('Accept') || '').includes('vnd.pgrst.object');
+  return new Response(JSON.stringify(single ? rows[0] || null : rows), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json' }
+  });
+};
+
+const { app } = require('../index.js');
+
+let server;
+let base;
+test.before(() => new Promise(resolve => {
+  server = app.listen(0, '127.0.0.1', () => {
+    base = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+test.after(() => server.close());
+
+async function login(email, password = PASSWORD) {
+  const response = await fetch(`${base}/login`, {
+    method: 'POST',
+    redirect: 'manual',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams(email ? { email, password } : { password }).toString()
+  });
+  return { location: response.headers.get('location'), cookie: (response.headers.get('set-cookie') || '').split(';')[0] };
+}
+
+async function status(path, cookie, headers = {}) {
+  const response = await fetch(`${base}${path}`, { headers: { ...headers, ...(cookie ? { Cookie: cookie } : {}) } });
+  await response.arrayBuffer();
+  return response.status;
+}
+
+const range = 'fromDate=2026-06-01&toDate=2026-06-30';
+
+test('a password without an email no longer signs in', async () => {
+  assert.equal((await login(null)).location, '/login?error=1');
+});
+
+test('read-only users get no member data, exports or schedules', async () => {
+  const { location, cookie } = await login('reader@example.com');
+  assert.equal(location, '/');
+
+  for (const path of [`/api/members/123?${range}`, `/api/analytics/123/export?${range}`, `/api/analytics/123/report.pdf?${range}`, `/api/schedule/123?${range}`]) {
+    assert.equal(await status(path, cookie), 403, path);
+  }
+});
+
+test('admin routes need a super-admin session or the admin key', async () => {
+  const { cookie } = await login('manager@example.com');
+  for (const path of ['/api/admin/reports', '/api/admin/report-deliveries', '/api/admin/embed-token-revocations', '/api/admin/embed-tokens']) {
+    assert.equal(await status(path, cookie), 403, path);
+    assert.equal(await status(path), 401, path);
+  }
+  assert.equal(await status('/api/admin/reports', null, { 'X-Admin-Key': 'test-admin-key' }), 200);
+});
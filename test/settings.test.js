@@ -0,0 +1,68 @@
+/**
+ * Per-gym settings: defaults, validation of updates and the Club_Settings row
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateClubSettings, toClubSettings, toClubSettingsRow } = require('../index.js');
+
+const DEFAULTS = {
+  openingHour: 5,
+  closingHour: 22,
+  thresholds: { excellent: 80, good: 60, average: 40 },
+  weekStart: 'monday',
+  defaultPreset: 'month',
+  currency: 'SEK',
+  language: 'en'
+};
+
+test('gyms without a row, and empty columns, get the defaults', () => {
+  assert.deepEqual(toClubSettings(null), DEFAULTS);
+  assert.deepEqual(toClubSettings({ Club_Zoezi_ID: '1', week_start: 'sunday', opening_hour: null }), { ...DEFAULTS, weekStart: 'sunday' });
+});
+
+test('settings survive a round trip through a Club_Settings row', () => {
+  const settings = { ...DEFAULTS, openingHour: 6, thresholds: { excellent: 90, good: 70, average: 50 }, currency: 'EUR', language: 'sv' };
+  const row = toClubSettingsRow('1', settings);
+  assert.equal(row.Club_Zoezi_ID, '1');
+  assert.equal(row.threshold_excellent, 90);
+  assert.deepEqual(toClubSettings(row), settings);
+});
+
+test('an update only changes the fields it has', () => {
+  const existing = { ...DEFAULTS, weekStart: 'sunday' };
+  assert.deepEqual(validateClubSettings({ closingHour: 20, thresholds: { good: 65 } }, existing), {
+    settings: { ...existing, closingHour: 20, thresholds: { excellent: 80, good: 65, average: 40 } }
+  });
+  assert.deepEqual(validateClubSettings({}), { settings: DEFAULTS });
+});
+
+test('fields that aren\'t settings are ignored', () => {
+  const { settings } = validateClubSettings({ theme: 'dark', thresholds: { excellent: 80, good: 60, average: 40, bad: 10 } });
+  assert.deepEqual(settings, DEFAULTS);
+});
+
+test('currency codes are stored in upper case', () => {
+  assert.equal(validateClubSettings({ currency: 'nok' }).settings.currency, 'NOK');
+});
+
+test('invalid settings are refused', () => {
+  const invalid = [
+    [{ openingHour: 23, closingHour: 6 }, /openingHour and closingHour/],
+    [{ openingHour: 5.5 }, /openingHour and closingHour/],
+    [{ closingHour: 24 }, /openingHour and closingHour/],
+    [{ thresholds: { excellent: 50, good: 60 } }, /excellent > good > average/],
+    [{ thresholds: { average: -1 } }, /excellent > good > average/],
+    [{ thresholds: { excellent: '90' } }, /excellent > good > average/],
+    [{ thresholds: 'high' }, /thresholds must be an object/],
+    [{ weekStart: 'saturday' }, /weekStart must be one of: monday, sunday/],
+    [{ defaultPreset: 'year' }, /defaultPreset must be one of/],
+    [{ currency: 'kronor' }, /currency must be a three-letter ISO 4217 code/],
+    [{ currency: 752 }, /currency must be a three-letter ISO 4217 code/],
+    [{ language: 'de' }, /language must be one of: en, sv/]
+  ];
+  invalid.forEach(([body, message]) => {
+    const result = validateClubSettings(body);
+    assert.equal(result.settings, undefined, JSON.stringify(body));
+    assert.match(result.error, message);
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Snapshot store member ids: live and stored workouts must give a member the same id
+ */
+const os = require('os');
+const path = require('path');
+process.env.SNAPSHOT_DIR = path.join(os.tmpdir(), 'grouptraining-analytics-test-snapshots');
+process.env.SNAPSHOT_SECRET = 'test-snapshot-secret';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { pseudonymiseWorkouts, toSnapshotFact, fromSnapshotFact, getNextSnapshotSyncAt, getZonedInstant } = require('../index.js');
+
+const workout = {
+  id: 1,
+  startTime: '2026-06-01 07:00:00',
+  space: 10,
+  numBooked: 2,
+  workoutType: { name: 'Yoga' },
+  staffs: [],
+  bookings: [
+    { user_id: 501, name: 'Sam Svensson', present: true },
+    { userId: 502, present: false },
+    { present: false }
+  ]
+};
+
+test('live and stored workouts get the same member ids', () => {
+  const [live] = pseudonymiseWorkouts('1', [workout]);
+  const stored = fromSnapshotFact(toSnapshotFact('1', workout));
+  assert.deepEqual(live.bookings.map(b => b.user_id), stored.bookings.map(b => b.user_id));
+  assert.match(live.bookings[0].user_id, /^[0-9a-f]{16}$/);
+  assert.equal(live.bookings[2].user_id, null);
+});
+
+test('pseudonyms are per club and leave the rest of the booking alone', () => {
+  const [club1] = pseudonymiseWorkouts('1', [workout]);
+  const [club2] = pseudonymiseWorkouts('2', [workout]);
+  assert.notEqual(club1.bookings[0].user_id, club2.bookings[0].user_id);
+  assert.equal(club1.bookings[0].name, 'Sam Svensson');
+  assert.equal(club1.bookings[0].present, true);
+  assert.equal(workout.bookings[0].user_id, 501);
+});
+
+test('the nightly sync is due at the sync hour in the club\'s timezone', () => {
+  const before = getZonedInstant('2026-06-01 02:30:00', 'Europe/Stockholm');
+  assert.equal(getNextSnapshotSyncAt('Europe/Stockholm', before), getZonedInstant('2026-06-01 03:00:00', 'Europe/Stockholm'));
+  assert.equal(getNextSnapshotSyncAt('America/New_York', before), getZonedInstant('2026-06-01 03:00:00', 'America/New_York'));
+
+  const after = getZonedInstant('2026-06-01 03:00:00', 'Europe/Stockholm');
+  assert.equal(getNextSnapshotSyncAt('Europe/Stockholm', after), getZonedInstant('2026-06-02 03:00:00', 'Europe/Stockholm'));
+});
@@ -0,0 +1,94 @@
+/**
+ * Club timezone handling across the 2026 DST changeovers in Europe/Stockholm:
+ * clocks go forward 02:00 -> 03:00 on 2026-03-29 and back 03:00 -> 02:00 on 2026-10-25.
+ * Run with the server in another timezone, so nothing can lean on the host clock.
+ */
+process.env.TZ = 'America/New_York';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getZonedInstant, getZonedTime, parseWallTime, getReportPeriod, processAnalytics } = require('../index.js');
+
+const TZ = 'Europe/Stockholm';
+const iso = instant => new Date(instant).toISOString();
+
+function workout(id, startTime) {
+  return { id, startTime, space: 10, numBooked: 5, workoutType: { name: 'Yoga' }, bookings: [], staffs: [] };
+}
+
+const ALL_HOURS = { openingHour: 0, closingHour: 23, thresholds: { excellent: 80, good: 60, average: 40 }, weekStart: 'monday' };
+
+test('getZonedTime: spring changeover skips 02:xx', () => {
+  assert.equal(getZonedTime(TZ, Date.parse('2026-03-29T00:59:59Z')), '2026-03-29 01:59:59');
+  assert.equal(getZonedTime(TZ, Date.parse('2026-03-29T01:00:00Z')), '2026-03-29 03:00:00');
+});
+
+test('getZonedTime: autumn changeover repeats 02:xx', () => {
+  assert.equal(getZonedTime(TZ, Date.parse('2026-10-25T00:30:00Z')), '2026-10-25 02:30:00');
+  assert.equal(getZonedTime(TZ, Date.parse('2026-10-25T01:30:00Z')), '2026-10-25 02:30:00');
+  assert.equal(getZonedTime(TZ, Date.parse('2026-10-25T02:30:00Z')), '2026-10-25 03:30:00');
+});
+
+test('getZonedInstant: times around the spring changeover', () => {
+  assert.equal(iso(getZonedInstant('2026-03-29 01:30:00', TZ)), '2026-03-29T00:30:00.000Z');
+  assert.equal(iso(getZonedInstant('2026-03-29 03:30:00', TZ)), '2026-03-29T01:30:00.000Z');
+  // 02:30 doesn't exist that night - it lands an hour later, on 03:30
+  assert.equal(iso(getZonedInstant('2026-03-29 02:30:00', TZ)), '2026-03-29T01:30:00.000Z');
+});
+
+test('getZonedInstant: times around the autumn changeover', () => {
+  assert.equal(iso(getZonedInstant('2026-10-25 01:30:00', TZ)), '2026-10-24T23:30:00.000Z');
+  assert.equal(iso(getZonedInstant('2026-10-25 03:30:00', TZ)), '2026-10-25T02:30:00.000Z');
+  // 02:30 happens twice - either instant is 02:30 on the club's clock
+  const repeated = getZonedInstant('2026-10-25 02:30:00', TZ);
+  assert.ok(['2026-10-25T00:30:00.000Z', '2026-10-25T01:30:00.000Z'].includes(iso(repeated)));
+  assert.equal(getZonedTime(TZ, repeated), '2026-10-25 02:30:00');
+});
+
+test('parseWallTime reads weekday and hour from the string on changeover days', () => {
+  assert.deepEqual(parseWallTime('2026-03-29 02:30:00'), { date: '2026-03-29', time: '02:30', dayOfWeek: 0, hour: 2 });
+  assert.deepEqual(parseWallTime('2026-10-25 02:15:00'), { date: '2026-10-25', time: '02:15', dayOfWeek: 0, hour: 2 });
+  assert.deepEqual(parseWallTime('2026-10-26 00:15:00'), { date: '2026-10-26', time: '00:15', dayOfWeek: 1, hour: 0 });
+});
+
+test('getReportPeriod: weekly periods around the spring changeover', () => {
+  // Monday 00:30 CEST is still Sunday in UTC
+  assert.deepEqual(getReportPeriod('weekly', new Date('2026-03-29T22:30:00Z'), TZ, 'monday'), { fromDate: '2026-03-23', toDate: '2026-03-29' });
+  // Sunday 23:30 CEST - the week isn't over yet
+  assert.deepEqual(getReportPeriod('weekly', new Date('2026-03-29T21:30:00Z'), TZ, 'monday'), { fromDate: '2026-03-16', toDate: '2026-03-22' });
+});
+
+test('getReportPeriod: weekly periods around the autumn changeover', () => {
+  assert.deepEqual(getReportPeriod('weekly', new Date('2026-10-25T23:30:00Z'), TZ, 'monday'), { fromDate: '2026-10-19', toDate: '2026-10-25' });
+  assert.deepEqual(getReportPeriod('weekly', new Date('2026-10-25T22:30:00Z'), TZ, 'monday'), { fromDate: '2026-10-12', toDate: '2026-10-18' });
+});
+
+test('getReportPeriod: monthly periods at the end of the changeover months', () => {
+  // 1 April 00:30 CEST
+  assert.deepEqual(getReportPeriod('monthly', new Date('2026-03-31T22:30:00Z'), TZ), { fromDate: '2026-03-01', toDate: '2026-03-31' });
+  assert.deepEqual(getReportPeriod('monthly', new Date('2026-03-31T21:30:00Z'), TZ), { fromDate: '2026-02-01', toDate: '2026-02-28' });
+  // 1 November 00:30 CET
+  assert.deepEqual(getReportPeriod('monthly', new Date('2026-10-31T23:30:00Z'), TZ), { fromDate: '2026-10-01', toDate: '2026-10-31' });
+});
+
+test('processAnalytics buckets changeover-night classes by the club clock', () => {
+  const analytics = processAnalytics([
+    workout(1, '2026-03-29 02:30:00'),
+    workout(2, '2026-03-29 03:00:00'),
+    workout(3, '2026-10-25 02:30:00'),
+    workout(4, '2026-10-25 02:30:00'),
+    workout(5, '2026-10-26 00:15:00')
+  ], { timeZone: TZ, settings: ALL_HOURS });
+
+  const byHour = Object.fromEntries(analytics.byHour.filter(h => h.classes).map(h => [h.hour, h.classes]));
+  assert.deepEqual(byHour, { 0: 1, 2: 3, 3: 1 });
+
+  const byDay = Object.fromEntries(analytics.byDay.filter(d => d.classes).map(d => [d.day, d.classes]));
+  assert.deepEqual(byDay, { Sunday: 4, Monday: 1 });
+
+  assert.deepEqual(analytics.dailyTrend.map(d => [d.date, d.classes]), [
+    ['2026-03-29', 2],
+    ['2026-10-25', 2],
+    ['2026-10-26', 1]
+  ]);
+});